@@ -0,0 +1,222 @@
+/**
+ * Bot benchmark for balancing the rules
+ * Plays many headless games with each bot and reports score, highest die,
+ * game length and dice value distributions over the games that ended. Games still
+ * running at --max-actions are reported on their own, since their numbers measure the
+ * cap rather than play. The default rule is orthogonal: under the game's default
+ * anywhere rule a 5x5 board almost never runs out of merges, so bots play until the cap.
+ *
+ * Usage: npm run simulate -- [options]
+ *   --games <n>         Games per bot (default 1000)
+ *   --bots <list>       Comma-separated bots: random, greedy, lookahead (default all)
+ *   --size <n>          Board size, 4-8 (default 5)
+ *   --rule <name>       Merge rule: anywhere, orthogonal, eight-neighbour (default orthogonal)
+ *   --preset <name>     Spawn table preset: easy, normal, hard (default normal)
+ *   --auto-spawn <n>    Dice spawned after every merge, 0 (default) or 1-2 for Classic Turn
+ *   --seed <seed>       Base seed; game i uses "<seed>-<i>" (default 1)
+ *   --max-actions <n>   Stop games still running after this many actions (default 2000)
+ *   --json              Print the results as JSON
+ */
+import { BOTS, playGame } from '../src/js/bots.js';
+import { MERGE_RULES, DEFAULT_BOARD_SIZE, AUTO_SPAWN_COUNTS, DEFAULT_AUTO_SPAWN, isValidBoardSize } from '../src/js/rules.js';
+import { SPAWN_PRESETS, DEFAULT_SPAWN_PRESET } from '../src/js/spawnTables.js';
+
+function parseArgs(argv) {
+    const options = {
+        games: 1000,
+        bots: Object.keys(BOTS),
+        size: DEFAULT_BOARD_SIZE,
+        rule: 'orthogonal',
+        preset: DEFAULT_SPAWN_PRESET,
+        autoSpawn: DEFAULT_AUTO_SPAWN,
+        seed: '1',
+        maxActions: 2000,
+        json: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+
+        switch (arg) {
+            case '--games': options.games = Number(value); i++; break;
+            case '--bots': options.bots = value.split(',').map(name => name.trim()); i++; break;
+            case '--size': options.size = Number(value); i++; break;
+            case '--rule': options.rule = value; i++; break;
+            case '--preset': options.preset = value; i++; break;
+            case '--auto-spawn': options.autoSpawn = Number(value); i++; break;
+            case '--seed': options.seed = value; i++; break;
+            case '--max-actions': options.maxActions = Number(value); i++; break;
+            case '--json': options.json = true; break;
+            default: throw new Error(`Unknown option "${arg}"`);
+        }
+    }
+
+    if (!Number.isInteger(options.games) || options.games < 1) {
+        throw new Error('--games must be a positive whole number');
+    }
+    if (!isValidBoardSize(options.size)) {
+        throw new Error('--size must be between 4 and 8');
+    }
+    if (!MERGE_RULES.includes(options.rule)) {
+        throw new Error(`--rule must be one of ${MERGE_RULES.join(', ')}`);
+    }
+    if (!SPAWN_PRESETS.includes(options.preset)) {
+        throw new Error(`--preset must be one of ${SPAWN_PRESETS.join(', ')}`);
+    }
+    if (!AUTO_SPAWN_COUNTS.includes(options.autoSpawn)) {
+        throw new Error(`--auto-spawn must be one of ${AUTO_SPAWN_COUNTS.join(', ')}`);
+    }
+    const unknownBot = options.bots.find(name => !BOTS[name]);
+    if (unknownBot) {
+        throw new Error(`Unknown bot "${unknownBot}", expected one of ${Object.keys(BOTS).join(', ')}`);
+    }
+
+    return options;
+}
+
+/**
+ * Summarize a list of numbers
+ * @param {number[]} values - Values, one per game
+ * @returns {{mean: number, min: number, p10: number, median: number, p90: number, max: number}|null}
+ *          Summary, or null without values
+ */
+function summarize(values) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+    return {
+        mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+        min: sorted[0],
+        p10: percentile(0.1),
+        median: percentile(0.5),
+        p90: percentile(0.9),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+/**
+ * Add up per-value counters
+ * @param {Array<Object<number, number>>} counters - One counter per game
+ * @returns {Object<number, number>} Total per value
+ */
+function sumCounts(counters) {
+    const totals = {};
+    counters.forEach(counter => {
+        Object.entries(counter).forEach(([value, count]) => {
+            totals[value] = (totals[value] || 0) + count;
+        });
+    });
+    return totals;
+}
+
+function runBot(name, options) {
+    const games = [];
+
+    for (let i = 0; i < options.games; i++) {
+        games.push(playGame(BOTS[name], {
+            seed: `${options.seed}-${i}`,
+            boardSize: options.size,
+            rules: { mergeRule: options.rule, spawnPreset: options.preset, autoSpawn: options.autoSpawn },
+            maxActions: options.maxActions
+        }));
+
+        if (!options.json && (i + 1) % 100 === 0) {
+            process.stderr.write(`\r${name}: ${i + 1}/${options.games}`);
+        }
+    }
+    if (!options.json) process.stderr.write('\r\x1b[K');
+
+    // Distributions only cover games that ended; capped games are summarized apart
+    const finished = games.filter(game => game.finished);
+    const capped = games.filter(game => !game.finished);
+
+    const highestDice = {};
+    finished.forEach(({ state }) => {
+        highestDice[state.highestDie] = (highestDice[state.highestDie] || 0) + 1;
+    });
+
+    return {
+        bot: name,
+        games: games.length,
+        finished: finished.length,
+        score: summarize(finished.map(({ state }) => state.score)),
+        merges: summarize(finished.map(({ state }) => state.moveCount)),
+        actions: summarize(finished.map(game => game.actions)),
+        highestDie: highestDice,
+        created: sumCounts(finished.map(game => game.created)),
+        spawned: sumCounts(finished.map(game => game.spawned)),
+        capped: {
+            games: capped.length,
+            score: summarize(capped.map(({ state }) => state.score)),
+            highestDie: summarize(capped.map(({ state }) => state.highestDie))
+        }
+    };
+}
+
+function formatSummary(label, summary) {
+    if (!summary) return `  ${label.padEnd(12)}no games`;
+    const fields = ['mean', 'min', 'p10', 'median', 'p90', 'max']
+        .map(key => `${key} ${Number.isInteger(summary[key]) ? summary[key] : summary[key].toFixed(1)}`);
+    return `  ${label.padEnd(12)}${fields.join('  ')}`;
+}
+
+function formatDistribution(label, counts, total, perGame) {
+    const lines = [`  ${label}`];
+    if (total === 0) return lines.join('\n');
+
+    const max = Math.max(...Object.values(counts));
+
+    // Die values in order, then special pieces by name
+    Object.keys(counts)
+        .sort((a, b) => (Number(a) || Infinity) - (Number(b) || Infinity) || a.localeCompare(b))
+        .forEach(value => {
+            const count = counts[value];
+            const amount = perGame ? (count / total).toFixed(2).padStart(9) : String(count).padStart(9);
+            const share = `${(100 * count / Object.values(counts).reduce((sum, n) => sum + n, 0)).toFixed(1)}%`.padStart(7);
+            const bar = '#'.repeat(Math.max(1, Math.round(30 * count / max)));
+            lines.push(`    ${String(value).padStart(8)} ${amount} ${share}  ${bar}`);
+        });
+
+    return lines.join('\n');
+}
+
+function printReport(result, options) {
+    console.log(`== ${result.bot} (${result.games} games, ${options.size}x${options.size}, ${options.rule}, ${options.preset}` +
+        `${options.autoSpawn ? `, classic turn x${options.autoSpawn}` : ''}) ==`);
+    console.log(`  Finished: ${result.finished} / ${result.games}; distributions below cover finished games only`);
+    console.log(formatSummary('Score', result.score));
+    console.log(formatSummary('Merges', result.merges));
+    console.log(formatSummary('Actions', result.actions));
+    console.log(formatDistribution('Highest die (games, share):', result.highestDie, result.finished, false));
+    console.log(formatDistribution('Dice created by merges (per game, share):', result.created, result.finished, true));
+    console.log(formatDistribution('Dice spawned (per game, share):', result.spawned, result.finished, true));
+    if (result.capped.games > 0) {
+        console.log(`  Capped: ${result.capped.games} game(s) still running after ${options.maxActions} actions`);
+        console.log(formatSummary('Score', result.capped.score));
+        console.log(formatSummary('Highest die', result.capped.highestDie));
+    }
+    console.log('');
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const results = options.bots.map(name => runBot(name, options));
+
+    if (options.json) {
+        console.log(JSON.stringify({ options, results }, null, 2));
+    } else {
+        results.forEach(result => printReport(result, options));
+    }
+}
+
+main();
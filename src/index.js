@@ -48,12 +48,34 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Add keyboard shortcuts
     document.addEventListener('keydown', (event) => {
+        // Ignore shortcuts while typing (e.g. into the seed field)
+        if (event.target.matches('input, textarea, select')) return;
+
+        // Undo - Ctrl+Z, Redo - Ctrl+Y or Ctrl+Shift+Z
+        // Other Ctrl combinations are left to the browser instead of triggering the letter shortcuts
+        if (event.ctrlKey || event.metaKey) {
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                game.undo();
+            } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                event.preventDefault();
+                game.redo();
+            }
+            return;
+        }
+
         // Leaderboard - L key
         if (event.key === 'l' || event.key === 'L') {
             const leaderboardBtn = document.getElementById('leaderboard-btn');
             if (leaderboardBtn) leaderboardBtn.click();
         }
 
+        // Hint - H key
+        if (event.key === 'h' || event.key === 'H') {
+            game.showHint();
+        }
+
         // Settings - S key
         if (event.key === 's' || event.key === 'S') {
             if (settingsBtn) settingsBtn.click();
@@ -72,13 +94,18 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    // Save pending updates when page is hidden or closed
+    // Save pending updates when page is hidden or closed, and hold the Blitz clock meanwhile
     document.addEventListener('visibilitychange', () => {
         if (document.visibilityState === 'hidden') {
             // Game is being hidden/backgrounded, ensure scores are saved
             if (game) {
+                game.recordHiddenBlitzScore();
                 game.checkPendingUpdates();
+                game.blitz.pause('hidden');
             }
+        } else if (game) {
+            game.releaseHiddenBlitzScore();
+            game.blitz.resume('hidden');
         }
     });
 });
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * Achievements
+ * Long-term goals driven by game events. Each definition names the event it listens to and how
+ * the event moves its progress towards the goal:
+ *   count  - progress goes up by one per matching event
+ *   best   - progress is the highest value of an event field seen so far
+ *   streak - progress is the number of days in a row with a matching event (UTC days)
+ * "when" narrows the events that count: a field must equal a value, be one of a list,
+ * or lie within { min, max }.
+ * Names and descriptions are localized as achievement_<id> and achievement_<id>_desc.
+ * Progress is kept in localStorage and mirrored to the platform's player data.
+ */
+import { saveToLocalStorage, loadFromLocalStorage } from './utils';
+import { getDailyKey } from './daily';
+
+const STORAGE_KEY = 'diceAchievements';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Game events and their fields
+ *   merge    - { mode, value, score }: a merge made value and brought the score to score
+ *   spawn    - { mode, source }: a die was added to the board, by the player pressing Add Dice
+ *              ('player'), as an opening die ('opening'), by the Blitz timer ('timer') or
+ *              after a Classic Turn merge ('turn')
+ *   gameOver - { mode, score, highestDie, won, stars, diceAdded }: won and stars are
+ *              set for solved puzzle levels, diceAdded counts the game's Add Dice presses
+ */
+export const ACHIEVEMENTS = [
+    { id: 'first_merge', event: 'merge', type: 'count', goal: 1 },
+    { id: 'die_8', event: 'merge', type: 'best', field: 'value', goal: 8 },
+    { id: 'die_12', event: 'merge', type: 'best', field: 'value', goal: 12 },
+    { id: 'score_1000', event: 'merge', type: 'best', field: 'score', goal: 1000 },
+    { id: 'score_10000', event: 'merge', type: 'best', field: 'score', goal: 10000 },
+    { id: 'merges_1000', event: 'merge', type: 'count', goal: 1000 },
+    { id: 'dice_1000', event: 'spawn', type: 'count', goal: 1000, when: { source: 'player' } },
+    { id: 'games_25', event: 'gameOver', type: 'count', goal: 25 },
+    { id: 'daily_5', event: 'gameOver', type: 'count', goal: 5, when: { mode: ['daily'] } },
+    { id: 'perfect_level', event: 'gameOver', type: 'count', goal: 1, when: { won: true, stars: { min: 3 } } },
+    { id: 'frugal_win', event: 'gameOver', type: 'count', goal: 1, when: { won: true, diceAdded: { max: 9 } } },
+    { id: 'streak_7', event: 'gameOver', type: 'streak', goal: 7 }
+];
+
+/**
+ * Check whether an event passes a definition's conditions
+ * @param {Object} when - Condition per event field
+ * @param {Object} data - Event fields
+ * @returns {boolean} True if every condition holds
+ */
+function matches(when = {}, data) {
+    return Object.keys(when).every(field => {
+        const condition = when[field];
+        const value = data[field];
+
+        if (Array.isArray(condition)) return condition.includes(value);
+        if (condition && typeof condition === 'object') {
+            return typeof value === 'number' &&
+                (condition.min === undefined || value >= condition.min) &&
+                (condition.max === undefined || value <= condition.max);
+        }
+        return value === condition;
+    });
+}
+
+/**
+ * Get the whole days between two UTC day keys
+ * @param {string} from - Earlier day, YYYY-MM-DD
+ * @param {string} to - Later day, YYYY-MM-DD
+ * @returns {number} Days between them
+ */
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+/**
+ * Work out the progress an event leads to
+ * @param {Object} definition - Achievement definition
+ * @param {Object} entry - Progress so far: { progress, day }
+ * @param {Object} data - Event fields
+ * @returns {Object} New progress entry, the same object if nothing changed
+ */
+function advance(definition, entry, data) {
+    switch (definition.type) {
+        case 'best': {
+            const value = data[definition.field];
+            return typeof value === 'number' && value > entry.progress ? { ...entry, progress: value } : entry;
+        }
+        case 'streak': {
+            const today = getDailyKey();
+            if (entry.day === today) return entry;
+
+            // A missed day starts the count again
+            const continued = entry.day && daysBetween(entry.day, today) === 1;
+            return { ...entry, progress: continued ? entry.progress + 1 : 1, day: today };
+        }
+        default:
+            return { ...entry, progress: entry.progress + 1 };
+    }
+}
+
+/**
+ * Tracks achievement progress locally and in the platform's player data
+ */
+export class Achievements {
+    /**
+     * @param {Platform} platform - Platform used for the cloud copy
+     */
+    constructor(platform) {
+        this.platform = platform;
+
+        // Per achievement id: { progress: number, unlockedAt: string|null, day?: string }
+        this.entries = loadFromLocalStorage(STORAGE_KEY, {});
+
+        // Whether progress changed since the cloud copy was last updated
+        this.unsynced = false;
+    }
+
+    /**
+     * Merge the progress stored in player data, keeping the furthest of each achievement
+     */
+    async syncFromCloud() {
+        const data = await this.platform.getPlayerData();
+        const cloudEntries = data && data.achievements;
+        if (!cloudEntries) return;
+
+        let changed = false;
+        Object.keys(cloudEntries).forEach(id => {
+            const local = this.getEntry(id);
+            const cloud = cloudEntries[id];
+            if (cloud.progress > local.progress || (cloud.unlockedAt && !local.unlockedAt)) {
+                this.entries[id] = {
+                    ...(cloud.progress >= local.progress ? cloud : local),
+                    unlockedAt: local.unlockedAt || cloud.unlockedAt || null
+                };
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            saveToLocalStorage(STORAGE_KEY, this.entries);
+        }
+    }
+
+    /**
+     * @param {string} id - Achievement id
+     * @returns {Object} Progress entry, empty if the achievement was never advanced
+     */
+    getEntry(id) {
+        return this.entries[id] || { progress: 0, unlockedAt: null };
+    }
+
+    /**
+     * @param {string} id - Achievement id
+     * @returns {boolean} True if unlocked
+     */
+    isUnlocked(id) {
+        return !!this.getEntry(id).unlockedAt;
+    }
+
+    /**
+     * @returns {number} Achievements unlocked so far
+     */
+    getUnlockedCount() {
+        return ACHIEVEMENTS.filter(definition => this.isUnlocked(definition.id)).length;
+    }
+
+    /**
+     * Advance every achievement listening to a game event
+     * Progress is saved locally on every change; the cloud copy is updated when something
+     * unlocks and at the end of a game, so merges don't each cost a request.
+     * @param {string} event - Event name, see ACHIEVEMENTS
+     * @param {Object} data - Event fields
+     * @returns {Object[]} Definitions of the achievements this event unlocked
+     */
+    record(event, data = {}) {
+        const unlocked = [];
+        let changed = false;
+
+        ACHIEVEMENTS.forEach(definition => {
+            if (definition.event !== event || this.isUnlocked(definition.id) || !matches(definition.when, data)) return;
+
+            const entry = this.getEntry(definition.id);
+            let next = advance(definition, entry, data);
+            if (next === entry) return;
+
+            if (next.progress >= definition.goal) {
+                next = { ...next, progress: definition.goal, unlockedAt: new Date().toISOString() };
+                unlocked.push(definition);
+            }
+            this.entries = { ...this.entries, [definition.id]: next };
+            changed = true;
+        });
+
+        if (changed) {
+            saveToLocalStorage(STORAGE_KEY, this.entries);
+            this.unsynced = true;
+        }
+        if (this.unsynced && (unlocked.length > 0 || event === 'gameOver')) {
+            this.platform.updatePlayerData({ achievements: this.entries });
+            this.unsynced = false;
+        }
+
+        return unlocked;
+    }
+}
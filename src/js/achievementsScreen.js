@@ -0,0 +1,97 @@
+/**
+ * Achievements screen
+ * Lists every achievement with its progress; locked ones show how far along the player is.
+ */
+import { ACHIEVEMENTS } from './achievements';
+
+export class AchievementsScreen {
+    /**
+     * @param {Game} game - Game whose achievement progress is shown
+     */
+    constructor(game) {
+        this.game = game;
+
+        // DOM elements
+        this.modal = document.getElementById('achievements-screen');
+        this.list = document.getElementById('achievements-list');
+        this.summary = document.getElementById('achievements-summary');
+    }
+
+    /**
+     * Set up the open and close buttons
+     */
+    setupControls() {
+        document.getElementById('achievements-btn').addEventListener('click', () => {
+            document.getElementById('settings-menu').style.display = 'none';
+            this.open();
+        });
+        document.getElementById('close-achievements').addEventListener('click', () => this.close());
+
+        // Close when clicking outside the list
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) this.close();
+        });
+    }
+
+    open() {
+        this.render();
+        this.modal.style.display = 'flex';
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    /**
+     * Build one row per achievement, unlocked ones first
+     */
+    render() {
+        const { localization, achievements } = this.game;
+
+        this.summary.textContent = localization.get('achievements_unlocked', {
+            count: achievements.getUnlockedCount(),
+            total: ACHIEVEMENTS.length
+        });
+
+        const sorted = ACHIEVEMENTS.slice().sort((a, b) =>
+            Number(achievements.isUnlocked(b.id)) - Number(achievements.isUnlocked(a.id)));
+
+        this.list.innerHTML = '';
+        sorted.forEach(definition => {
+            const entry = achievements.getEntry(definition.id);
+            const unlocked = !!entry.unlockedAt;
+
+            const item = document.createElement('li');
+            item.className = unlocked ? 'achievement unlocked' : 'achievement locked';
+
+            const icon = document.createElement('span');
+            icon.className = 'achievement-icon';
+            icon.textContent = unlocked ? '🏅' : '🔒';
+
+            const name = document.createElement('span');
+            name.className = 'achievement-name';
+            name.textContent = localization.get(`achievement_${definition.id}`);
+
+            const description = document.createElement('span');
+            description.className = 'achievement-description';
+            description.textContent = localization.get(`achievement_${definition.id}_desc`, { goal: definition.goal });
+
+            const progress = document.createElement('progress');
+            progress.className = 'achievement-progress';
+            progress.max = definition.goal;
+            progress.value = Math.min(entry.progress, definition.goal);
+
+            const count = document.createElement('span');
+            count.className = 'achievement-count';
+            count.textContent = `${progress.value} / ${definition.goal}`;
+
+            const text = document.createElement('div');
+            text.className = 'achievement-text';
+            text.append(name, description);
+            if (!unlocked && definition.goal > 1) text.append(progress, count);
+
+            item.append(icon, text);
+            this.list.appendChild(item);
+        });
+    }
+}
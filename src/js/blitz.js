@@ -0,0 +1,158 @@
+/**
+ * Blitz mode timing
+ * A countdown in which dice spawn on a timer; big merges buy back a little time.
+ * The clock can be paused for several reasons at once (hidden tab, fullscreen ad)
+ * and only runs again once every reason is cleared.
+ */
+
+export const BLITZ_RULES = {
+    duration: 90000,        // Starting time in milliseconds
+    spawnInterval: 2500,    // Time between automatic spawns
+    bonusMinValue: 5,       // Smallest new die that adds time
+    bonusPerValue: 1000,    // Time added per value above bonusMinValue - 1
+    maxTime: 120000         // The clock never goes above this
+};
+
+/**
+ * Get the time a merge adds to the clock
+ * @param {number} value - Value of the new die
+ * @param {Object} rules - See BLITZ_RULES
+ * @returns {number} Milliseconds to add
+ */
+export function getTimeBonus(value, rules = BLITZ_RULES) {
+    if (value < rules.bonusMinValue) return 0;
+    return (value - rules.bonusMinValue + 1) * rules.bonusPerValue;
+}
+
+/**
+ * Format the time left as M:SS
+ * @param {number} ms - Milliseconds left
+ * @returns {string} Formatted time
+ */
+export function formatTimeLeft(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+export class BlitzTimer {
+    /**
+     * @param {Object} callbacks - Timer callbacks
+     * @param {Function} callbacks.onTick - Called with the time left whenever the clock updates
+     * @param {Function} callbacks.onSpawn - Called when a die should spawn
+     * @param {Function} callbacks.onExpire - Called once when the time runs out
+     * @param {Object} rules - See BLITZ_RULES
+     */
+    constructor({ onTick, onSpawn, onExpire }, rules = BLITZ_RULES) {
+        this.onTick = onTick;
+        this.onSpawn = onSpawn;
+        this.onExpire = onExpire;
+        this.rules = rules;
+
+        this.remaining = rules.duration;
+        this.untilSpawn = rules.spawnInterval;
+        this.running = false;
+        this.pauseReasons = new Set();
+        this.interval = null;
+        this.lastTick = 0;
+        this.tickRate = 100; // Milliseconds between clock updates
+    }
+
+    /**
+     * Start a fresh countdown
+     */
+    start() {
+        this.stop();
+        this.remaining = this.rules.duration;
+        this.untilSpawn = this.rules.spawnInterval;
+        this.running = true;
+        this.pauseReasons.clear();
+        this.resumeClock();
+        this.onTick(this.remaining);
+    }
+
+    /**
+     * Stop the countdown for good (game over or new game)
+     */
+    stop() {
+        this.running = false;
+        this.pauseClock();
+    }
+
+    /**
+     * Pause the clock
+     * @param {string} reason - Why the clock is paused, e.g. 'hidden' or 'ad'
+     */
+    pause(reason) {
+        this.pauseReasons.add(reason);
+        this.pauseClock();
+    }
+
+    /**
+     * Clear one pause reason; the clock runs again once none are left
+     * @param {string} reason - Reason passed to pause
+     */
+    resume(reason) {
+        this.pauseReasons.delete(reason);
+        if (this.running && this.pauseReasons.size === 0) {
+            this.resumeClock();
+        }
+    }
+
+    /**
+     * @returns {boolean} True while the countdown is running and not paused
+     */
+    isTicking() {
+        return this.interval !== null;
+    }
+
+    /**
+     * Add time to the clock
+     * @param {number} ms - Milliseconds to add
+     */
+    addTime(ms) {
+        this.remaining = Math.min(this.rules.maxTime, this.remaining + ms);
+        this.onTick(this.remaining);
+    }
+
+    pauseClock() {
+        clearInterval(this.interval);
+        this.interval = null;
+    }
+
+    resumeClock() {
+        if (this.interval !== null) return;
+
+        this.lastTick = Date.now();
+        this.interval = setInterval(() => this.tick(), this.tickRate);
+    }
+
+    /**
+     * Advance the clock by the real time since the last tick
+     */
+    tick() {
+        const now = Date.now();
+        const elapsed = now - this.lastTick;
+        this.lastTick = now;
+
+        this.remaining -= elapsed;
+        this.untilSpawn -= elapsed;
+
+        if (this.remaining <= 0) {
+            this.remaining = 0;
+            this.stop();
+            this.onTick(0);
+            this.onExpire();
+            return;
+        }
+
+        // A spawn can end the game, which stops the timer
+        while (this.running && this.untilSpawn <= 0) {
+            this.untilSpawn += this.rules.spawnInterval;
+            this.onSpawn();
+        }
+
+        this.onTick(this.remaining);
+    }
+}
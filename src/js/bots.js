@@ -0,0 +1,133 @@
+/**
+ * Bot players for balancing simulations
+ * A bot looks at a position and picks the next action: a merge, or adding a die.
+ * Pure functions over engine state, so bots run headless in Node.
+ */
+import { createState, getLegalMerges, getMergeValue, applyMerge, spawn, playForcedSpawns, getEmptyCells, isTerminal } from './engine.js';
+import { getInitialDice } from './rules.js';
+import { getPieceType } from './pieces.js';
+import { SeededRandom } from './random.js';
+import { findBestMerge } from './hints.js';
+
+/**
+ * Pick uniformly among every legal action
+ * @param {Object} state - Game state
+ * @param {Function} random - Random source returning a float in [0, 1)
+ * @returns {{type: 'merge', from: number, to: number}|{type: 'spawn'}} Next action
+ */
+function randomBot(state, random) {
+    const actions = getLegalMerges(state).map(({ from, to }) => ({ type: 'merge', from, to }));
+
+    // Classic Turn has no Add Dice, dice only come with merges
+    if (getEmptyCells(state).length > 0 && !state.rules.autoSpawn) {
+        actions.push({ type: 'spawn' });
+    }
+    return actions[Math.floor(random() * actions.length)];
+}
+
+/**
+ * Make the merge worth the most points right now, add a die when there is none
+ * @param {Object} state - Game state
+ * @param {Function} random - Random source, used to break ties
+ * @returns {{type: 'merge', from: number, to: number}|{type: 'spawn'}} Next action
+ */
+function greedyBot(state, random) {
+    const merges = getLegalMerges(state);
+    if (merges.length === 0) return { type: 'spawn' };
+
+    const values = merges.map(({ from, to }) => getMergeValue(state, from, to));
+    const best = Math.max(...values);
+    const candidates = merges.filter((merge, i) => values[i] === best);
+    return { type: 'merge', ...candidates[Math.floor(random() * candidates.length)] };
+}
+
+/**
+ * Hint evaluator settings of the lookahead bot, far below in-game hints so a thousand
+ * games take a couple of minutes rather than most of an hour
+ */
+export const LOOKAHEAD_OPTIONS = { rollouts: 3, rolloutBudget: 18, depth: 5 };
+
+/**
+ * Create a bot that makes the merge the hint evaluator rates best, and adds a die when there is none
+ * @param {Object} options - Hint evaluator settings, see DEFAULT_HINT_OPTIONS
+ * @returns {Function} Bot
+ */
+export function createLookaheadBot(options = LOOKAHEAD_OPTIONS) {
+    return (state) => {
+        const hint = findBestMerge(state, options);
+        if (!hint) return { type: 'spawn' };
+        return { type: 'merge', from: hint.from, to: hint.to };
+    };
+}
+
+export const BOTS = {
+    random: randomBot,
+    greedy: greedyBot,
+    lookahead: createLookaheadBot()
+};
+
+/**
+ * Play one game from start to finish
+ * @param {Function} bot - Bot from BOTS
+ * @param {Object} options - Game options
+ * @param {number|string} options.seed - Seed of the spawn sequence; the bot gets its own sequence from it
+ * @param {number} options.boardSize - Width and height of the board
+ * @param {Object} options.rules - Rule set, see createRules
+ * @param {number} options.maxActions - Stop a game that runs longer than this
+ * @returns {{state: Object, actions: number, created: Object<number, number>, spawned: Object<string, number>, finished: boolean}}
+ *          Final state, number of actions, dice created by merges per value, spawns per
+ *          value or special piece type, and whether the game ended normally
+ */
+export function playGame(bot, { seed, boardSize = 5, rules = {}, maxActions = 10000 } = {}) {
+    const rng = new SeededRandom(seed);
+    const botRandom = new SeededRandom(`${seed}-bot`).next;
+    const created = {};
+    const spawned = {};
+
+    let state = createState({ boardSize, seed: rng.seed, rules });
+
+    // Special pieces are counted by type
+    const countSpawn = (value) => {
+        const key = getPieceType(value) === 'die' ? value : getPieceType(value);
+        spawned[key] = (spawned[key] || 0) + 1;
+    };
+    const addDie = () => {
+        const result = spawn(state, rng.next);
+        if (!result) return false;
+        state = result.state;
+        countSpawn(result.value);
+        return true;
+    };
+    const playForced = (count) => {
+        const result = playForcedSpawns(state, rng.next, count);
+        state = result.state;
+        result.spawns.forEach(({ value }) => countSpawn(value));
+    };
+
+    for (let i = 0; i < getInitialDice(boardSize); i++) {
+        addDie();
+    }
+
+    // Under Classic Turn the opening gets dice until there is a merge, like every turn after it
+    playForced(0);
+
+    let actions = 0;
+    while (!isTerminal(state) && actions < maxActions) {
+        const action = bot(state, botRandom);
+        actions++;
+
+        if (action.type === 'merge') {
+            const result = applyMerge(state, action.from, action.to);
+            if (!result) {
+                throw new Error(`Bot made an illegal merge ${action.from} -> ${action.to}`);
+            }
+            state = result.state;
+            created[result.value] = (created[result.value] || 0) + 1;
+            playForced();
+        } else if (!addDie()) {
+            throw new Error('Bot added a die to a full board');
+        }
+    }
+
+    return { state, actions, created, spawned, finished: isTerminal(state) };
+}
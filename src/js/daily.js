@@ -0,0 +1,145 @@
+/**
+ * Daily challenge support
+ * Every player gets the same seed for a calendar day (UTC) and one scored attempt.
+ * Scores go to a single "daily" leaderboard shared by every day: each entry carries its challenge
+ * day as extra data, and a player's entry from an earlier day is replaced by the new day's score,
+ * even a lower one. Only today's entries are shown, so an attempt started before midnight UTC
+ * drops off the board when the next day begins.
+ */
+import { normalizeSeed } from './random';
+import { saveToLocalStorage, loadFromLocalStorage } from './utils';
+
+const STORAGE_KEY = 'diceDailyChallenge';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mixed into the daily seeds, so typing the day as a seed doesn't give the challenge board
+const DAILY_SEED_SALT = 0x5EEDDA1E;
+
+/**
+ * Get the identifier of the challenge day
+ * @param {Date} date - Moment to get the day for
+ * @returns {string} Day in YYYY-MM-DD format (UTC)
+ */
+export function getDailyKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the shared seed of the challenge day
+ * @param {Date} date - Moment to get the seed for
+ * @returns {number} Seed shared by every player on that day
+ */
+export function getDailySeed(date = new Date()) {
+    return (normalizeSeed(`daily-${getDailyKey(date)}`) ^ DAILY_SEED_SALT) >>> 0;
+}
+
+/**
+ * Check whether a seed gives the board of today's or tomorrow's challenge
+ * The seed of a challenge is shown while it's played, so games outside the challenge refuse it
+ * rather than let the board be practised before the scored attempt.
+ * @param {number|string} seed - Seed as entered by the player or stored with a game
+ * @param {Date} date - Moment to check at
+ * @returns {boolean} True for the seed of a challenge still to be played
+ */
+export function isDailySeed(seed, date = new Date()) {
+    const normalized = normalizeSeed(seed);
+    return normalized === getDailySeed(date) || normalized === getDailySeed(new Date(date.getTime() + DAY_MS));
+}
+
+/**
+ * Get the time left until the next challenge starts
+ * @param {Date} date - Moment to count from
+ * @returns {number} Milliseconds until the next UTC midnight
+ */
+export function getTimeUntilNextDaily(date = new Date()) {
+    return DAY_MS - (date.getTime() % DAY_MS);
+}
+
+/**
+ * Format a countdown as HH:MM:SS
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+export function formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+/**
+ * Tracks the player's daily attempt locally and in the platform's player data
+ */
+export class DailyChallenge {
+    /**
+     * @param {Platform} platform - Platform used to mirror the attempt to the cloud
+     */
+    constructor(platform) {
+        this.platform = platform;
+
+        // Last attempt: { date: 'YYYY-MM-DD', score: number|null }
+        this.attempt = loadFromLocalStorage(STORAGE_KEY, null);
+    }
+
+    /**
+     * Merge the attempt stored in player data, so the limit holds across devices
+     */
+    async syncFromCloud() {
+        const data = await this.platform.getPlayerData();
+        const cloudAttempt = data && data.daily;
+        if (!cloudAttempt || !cloudAttempt.date) return;
+
+        if (!this.attempt || cloudAttempt.date > this.attempt.date ||
+            (cloudAttempt.date === this.attempt.date && this.attempt.score === null)) {
+            this.attempt = cloudAttempt;
+            saveToLocalStorage(STORAGE_KEY, this.attempt);
+        }
+    }
+
+    /**
+     * Check whether today's scored attempt has been used
+     * @returns {boolean} True if the player already started today's challenge
+     */
+    hasPlayedToday() {
+        return !!this.attempt && this.attempt.date === getDailyKey();
+    }
+
+    /**
+     * Get today's recorded score
+     * @returns {number|null} Score of today's attempt or null if not finished
+     */
+    getTodayScore() {
+        return this.hasPlayedToday() ? this.attempt.score : null;
+    }
+
+    /**
+     * Use up today's attempt when a daily game starts, so restarting can't fish for better spawns
+     * @returns {boolean} True if this game is the scored attempt, false for a practice run
+     */
+    startAttempt() {
+        if (this.hasPlayedToday()) return false;
+
+        this.save({ date: getDailyKey(), score: null });
+        return true;
+    }
+
+    /**
+     * Record the final score of today's attempt
+     * @param {number} score - Final score
+     */
+    finishAttempt(score) {
+        // Keep the start date: a run that crosses midnight still belongs to its own day
+        this.save({ ...this.attempt, score });
+    }
+
+    /**
+     * Persist the attempt locally and to player data
+     * @param {Object} attempt - Attempt to save
+     */
+    save(attempt) {
+        this.attempt = attempt;
+        saveToLocalStorage(STORAGE_KEY, attempt);
+        this.platform.updatePlayerData({ daily: attempt });
+    }
+}
@@ -0,0 +1,380 @@
+/**
+ * Headless rules engine for Dice Dynasty
+ * Pure functions over plain state objects: no DOM, audio or SDK access,
+ * so the same rules run in the browser and in Node.
+ * Every function returns a new state instead of mutating the one passed in.
+ */
+import { createRules, DEFAULT_MERGE_RULE } from './rules.js';
+import { SPAWN_TABLES, DEFAULT_SPAWN_PRESET, getSpawnStage, pickWeighted } from './spawnTables.js';
+import { WILDCARD, BOMB, STONE, createPiece, getPieceType, getDieValue, isMovable } from './pieces.js';
+import { createScoringState, scoreMerge } from './scoring.js';
+
+/**
+ * Create a fresh, empty game state
+ * @param {Object} options - State options
+ * @param {number} options.boardSize - Width and height of the board
+ * @param {number|null} options.seed - Seed of the random sequence driving this game
+ * @param {Object} options.rules - Rule set, see createRules
+ * @returns {Object} New game state
+ */
+export function createState({ boardSize = 5, seed = null, rules = {} } = {}) {
+    return {
+        boardSize,
+        seed,
+        rules: createRules(rules),
+        board: Array(boardSize * boardSize).fill(null),
+        score: 0,
+        moveCount: 0,
+        highestDie: 1,
+        scoring: createScoringState()
+    };
+}
+
+/**
+ * Get the indexes of all empty cells
+ * @param {Object} state - Game state
+ * @returns {number[]} Indexes of empty cells
+ */
+export function getEmptyCells(state) {
+    return state.board.map((val, idx) => val === null ? idx : -1).filter(idx => idx !== -1);
+}
+
+/**
+ * Check whether two cells are close enough to merge under the game's merge rule
+ * @param {Object} state - Game state
+ * @param {number} from - Index of the first cell
+ * @param {number} to - Index of the second cell
+ * @returns {boolean} True if the merge rule allows merging these cells
+ */
+export function areMergeNeighbours(state, from, to) {
+    const mergeRule = (state.rules && state.rules.mergeRule) || DEFAULT_MERGE_RULE;
+    if (mergeRule === 'anywhere') return true;
+
+    const { boardSize } = state;
+    const rowDistance = Math.abs(Math.floor(from / boardSize) - Math.floor(to / boardSize));
+    const colDistance = Math.abs((from % boardSize) - (to % boardSize));
+
+    if (mergeRule === 'orthogonal') {
+        return rowDistance + colDistance === 1;
+    }
+
+    // eight-neighbour
+    return Math.max(rowDistance, colDistance) === 1;
+}
+
+/**
+ * Get the value of the die a merge would create
+ * Equal dice (bombs count by their value) level up by one; a wildcard takes the value of the other die.
+ * @param {Object} state - Game state
+ * @param {number} from - Index of the source piece
+ * @param {number} to - Index of the target piece
+ * @returns {number|null} New die value, or null if the pieces don't match
+ */
+export function getMergeValue(state, from, to) {
+    const source = state.board[from];
+    const target = state.board[to];
+    if (!isMovable(source) || !isMovable(target)) return null;
+
+    const sourceIsWildcard = getPieceType(source) === WILDCARD;
+    const targetIsWildcard = getPieceType(target) === WILDCARD;
+    if (sourceIsWildcard && targetIsWildcard) return null;
+    if (sourceIsWildcard) return getDieValue(target) + 1;
+    if (targetIsWildcard) return getDieValue(source) + 1;
+
+    const value = getDieValue(source);
+    return value === getDieValue(target) ? value + 1 : null;
+}
+
+/**
+ * Check whether the die at one cell may be merged into another
+ * @param {Object} state - Game state
+ * @param {number} from - Index of the source die
+ * @param {number} to - Index of the target die
+ * @returns {boolean} True if the merge is legal
+ */
+export function canMerge(state, from, to) {
+    if (from === to) return false;
+    if (getMergeValue(state, from, to) === null) return false;
+
+    return areMergeNeighbours(state, from, to);
+}
+
+/**
+ * Get the indexes of the cells around one cell, diagonals included
+ * @param {number} boardSize - Width and height of the board
+ * @param {number} index - Index of the centre cell
+ * @returns {number[]} Indexes of the neighbouring cells
+ */
+export function getSurroundingCells(boardSize, index) {
+    const row = Math.floor(index / boardSize);
+    const col = index % boardSize;
+    const cells = [];
+
+    for (let r = row - 1; r <= row + 1; r++) {
+        for (let c = col - 1; c <= col + 1; c++) {
+            if ((r !== row || c !== col) && r >= 0 && r < boardSize && c >= 0 && c < boardSize) {
+                cells.push(r * boardSize + c);
+            }
+        }
+    }
+    return cells;
+}
+
+/**
+ * List every legal merge on the board
+ * @param {Object} state - Game state
+ * @returns {Array<{from: number, to: number}>} Legal merges; each pair appears in both directions
+ */
+export function getLegalMerges(state) {
+    const merges = [];
+    for (let from = 0; from < state.board.length; from++) {
+        if (!isMovable(state.board[from])) continue;
+
+        for (let to = 0; to < state.board.length; to++) {
+            if (canMerge(state, from, to)) {
+                merges.push({ from, to });
+            }
+        }
+    }
+    return merges;
+}
+
+/**
+ * Check whether any legal merge is left
+ * @param {Object} state - Game state
+ * @returns {boolean} True if at least one merge is possible
+ */
+export function hasLegalMerge(state) {
+    for (let from = 0; from < state.board.length; from++) {
+        if (!isMovable(state.board[from])) continue;
+
+        for (let to = from + 1; to < state.board.length; to++) {
+            if (canMerge(state, from, to)) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Merge the die at one cell into another
+ * A bomb taking part in the merge clears every cell around the new die,
+ * and stones next to either merged cell break.
+ * @param {Object} state - Game state
+ * @param {number} from - Index of the source die
+ * @param {number} to - Index of the target die, which receives the new die
+ * @param {Object} options - Merge options
+ * @param {number} options.now - Time of the merge in milliseconds, for combos (see scoring.js)
+ * @returns {{state: Object, value: number, points: number, score: Object, newRecord: boolean, cleared: number[], brokenStones: number[]}|null}
+ *          The resulting state and merge details (how the points add up, cells emptied by a bomb,
+ *          stones broken), or null if the merge is illegal
+ */
+export function applyMerge(state, from, to, { now } = {}) {
+    if (!canMerge(state, from, to)) return null;
+
+    // Merged dice level up by one
+    const value = getMergeValue(state, from, to);
+    const newRecord = value > state.highestDie;
+    const exploded = getPieceType(state.board[from]) === BOMB || getPieceType(state.board[to]) === BOMB;
+
+    const board = state.board.slice();
+    board[from] = null;
+    board[to] = value;
+
+    const cleared = [];
+    if (exploded) {
+        getSurroundingCells(state.boardSize, to).forEach(index => {
+            if (board[index] !== null && getPieceType(board[index]) !== STONE) {
+                board[index] = null;
+                cleared.push(index);
+            }
+        });
+    }
+
+    const brokenStones = [];
+    [from, to].forEach(cell => {
+        getSurroundingCells(state.boardSize, cell).forEach(index => {
+            if (getPieceType(board[index]) === STONE) {
+                board[index] = null;
+                brokenStones.push(index);
+            }
+        });
+    });
+
+    const score = scoreMerge(state.scoring, {
+        value,
+        now,
+        piecesBefore: state.board.filter(cell => cell !== null).length,
+        piecesAfter: board.filter(cell => cell !== null).length,
+        boardSize: state.boardSize
+    });
+
+    return {
+        state: {
+            ...state,
+            board,
+            score: state.score + score.points,
+            moveCount: state.moveCount + 1,
+            highestDie: newRecord ? value : state.highestDie,
+            scoring: score.scoring
+        },
+        value,
+        points: score.points,
+        score,
+        newRecord,
+        cleared,
+        brokenStones
+    };
+}
+
+/**
+ * Place a die with a known value on an empty cell
+ * @param {Object} state - Game state
+ * @param {number} index - Index of the cell
+ * @param {number|Object} value - Die value or special piece
+ * @returns {Object} The resulting state
+ */
+export function placeDie(state, index, value) {
+    const board = state.board.slice();
+    board[index] = value;
+    return { ...state, board };
+}
+
+/**
+ * Roll a newly spawned piece from the game's spawn table
+ * @param {Object} state - Game state
+ * @param {Function} random - Random source returning a float in [0, 1)
+ * @returns {number|Object} Die value, or a special piece
+ */
+export function rollSpawnValue(state, random) {
+    const preset = (state.rules && state.rules.spawnPreset) || DEFAULT_SPAWN_PRESET;
+    const table = SPAWN_TABLES[preset] || SPAWN_TABLES[DEFAULT_SPAWN_PRESET];
+    const stage = getSpawnStage(table, state);
+
+    // Stages without special pieces don't use up a random number, so their sequences stay the same
+    if (stage.specials) {
+        const roll = random() * 100;
+        let threshold = 0;
+        for (const [type, rate] of Object.entries(stage.specials)) {
+            threshold += rate;
+            if (roll < threshold) {
+                return createPiece(type, type === BOMB ? pickWeighted(stage.weights, random) : undefined);
+            }
+        }
+    }
+
+    return pickWeighted(stage.weights, random);
+}
+
+/** Dice rolled ahead of the spawns that use them (state.upcoming), so players can see what comes next */
+export const UPCOMING_SPAWNS = 3;
+
+/**
+ * Roll dice ahead until the upcoming queue is full
+ * Each die is rolled from the spawn table stage of the moment it joins the queue,
+ * so a stage change reaches the spawns a few dice later.
+ * @param {Object} state - Game state
+ * @param {Function} random - Random source returning a float in [0, 1)
+ * @returns {Object} State with UPCOMING_SPAWNS dice queued; games with a fixed spawn queue are returned as is
+ */
+export function fillUpcomingSpawns(state, random) {
+    if (Array.isArray(state.spawnQueue)) return state;
+
+    const upcoming = (state.upcoming || []).slice();
+    if (upcoming.length >= UPCOMING_SPAWNS) return state;
+
+    while (upcoming.length < UPCOMING_SPAWNS) {
+        upcoming.push(rollSpawnValue(state, random));
+    }
+    return { ...state, upcoming };
+}
+
+/**
+ * Get the dice the next spawns will add, in order
+ * @param {Object} state - Game state
+ * @param {number} count - Most dice to return
+ * @returns {Array<number|Object>} Die values or special pieces; fewer than asked for
+ *          when a fixed spawn queue runs out or nothing is rolled ahead yet
+ */
+export function getUpcomingSpawns(state, count = UPCOMING_SPAWNS) {
+    const queue = Array.isArray(state.spawnQueue) ? state.spawnQueue : (state.upcoming || []);
+    return queue.slice(0, count);
+}
+
+/**
+ * Check whether a die can still be added
+ * Games with a fixed spawn queue (state.spawnQueue, e.g. puzzle levels) run out of dice once it's empty.
+ * @param {Object} state - Game state
+ * @returns {boolean} True if there is an empty cell and a die to put on it
+ */
+export function canSpawn(state) {
+    if (!state.board.includes(null)) return false;
+    return !Array.isArray(state.spawnQueue) || state.spawnQueue.length > 0;
+}
+
+/**
+ * Spawn a die on a random empty cell
+ * The die is the next one of a fixed spawn queue, or of the dice rolled ahead from the spawn table
+ * (see fillUpcomingSpawns), which is topped up again afterwards.
+ * @param {Object} state - Game state
+ * @param {Function} random - Random source returning a float in [0, 1)
+ * @returns {{state: Object, index: number, value: number|Object}|null}
+ *          The resulting state and spawn details, or null if no die can be added
+ */
+export function spawn(state, random) {
+    if (!canSpawn(state)) return null;
+
+    const emptyCells = getEmptyCells(state);
+    const index = emptyCells[Math.floor(random() * emptyCells.length)];
+
+    if (Array.isArray(state.spawnQueue)) {
+        const [value, ...spawnQueue] = state.spawnQueue;
+        return { state: { ...placeDie(state, index, value), spawnQueue }, index, value };
+    }
+
+    const [value, ...upcoming] = fillUpcomingSpawns(state, random).upcoming;
+    const placed = { ...placeDie(state, index, value), upcoming };
+    return { state: fillUpcomingSpawns(placed, random), index, value };
+}
+
+/**
+ * Play the spawns a merge forces under the Classic Turn rule (rules.autoSpawn > 0):
+ * the rule's number of dice, then one more at a time while no merge is possible and the board has room,
+ * since the player has no Add Dice button to get out of such a position.
+ * Without Classic Turn nothing is spawned.
+ * @param {Object} state - Game state
+ * @param {Function} random - Random source returning a float in [0, 1)
+ * @param {number} count - Dice to spawn before only spawning to unblock the player
+ * @returns {{state: Object, spawns: Array<{index: number, value: number|Object}>}} The resulting state and the spawns made
+ */
+export function playForcedSpawns(state, random, count = state.rules.autoSpawn) {
+    let current = state;
+    const spawns = [];
+    if (!state.rules.autoSpawn) return { state: current, spawns };
+
+    while (spawns.length < count || !hasLegalMerge(current)) {
+        const result = spawn(current, random);
+        if (!result) break;
+
+        current = result.state;
+        spawns.push({ index: result.index, value: result.value });
+    }
+
+    return { state: current, spawns };
+}
+
+/**
+ * Check whether the game has ended
+ * Under Classic Turn this is checked once the forced spawns are played (see playForcedSpawns),
+ * which only stop with a merge available or no die left to add.
+ * @param {Object} state - Game state
+ * @returns {boolean} True if no moves are left
+ */
+export function isTerminal(state) {
+    // If a die can still be added, game is not over
+    if (canSpawn(state)) {
+        return false;
+    }
+
+    // No dice to add and no merges allowed by the merge rule
+    return !hasLegalMerge(state);
+}
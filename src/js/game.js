@@ -1,19 +1,71 @@
 import { UI } from './ui';
 import { AudioManager } from './audio';
-import { getRandomInt, saveToLocalStorage, loadFromLocalStorage } from './utils';
-import { YandexSDK } from './yandexSDK';
+import { saveToLocalStorage, loadFromLocalStorage, copyToClipboard } from './utils';
+import { createPlatform } from './platform/createPlatform';
 import { Localization } from './localization';
+import { createState, canMerge, applyMerge, spawn, canSpawn, playForcedSpawns, fillUpcomingSpawns, getUpcomingSpawns, isTerminal } from './engine';
+import { SeededRandom, generateSeed } from './random';
+import { BOARD_SIZES, DEFAULT_BOARD_SIZE, MERGE_RULES, DEFAULT_MERGE_RULE, AUTO_SPAWN_COUNTS, DEFAULT_AUTO_SPAWN, isValidBoardSize, getInitialDice, getScoreCategory } from './rules';
+import { MoveHistory } from './history';
+import { SavedGameStore } from './savedGame';
+import { ReplayRecorder } from './replay';
+import { ReplayViewer } from './replayViewer';
+import { encodePosition, encodeReplay, decodeGameCode } from './notation';
+import { HintProvider } from './hintProvider';
+import { SPAWN_PRESETS, DEFAULT_SPAWN_PRESET, PREVIEW_LIMITS } from './spawnTables';
+import { isMovable } from './pieces';
+import { createScoringState } from './scoring';
+import { BlitzTimer, getTimeBonus } from './blitz';
+import { loadLevelPack, createLevelState, isLevelComplete, getMovesLeft, getLevelStars, formatStars } from './levels';
+import { LevelProgress } from './levelProgress';
+import { LevelSelect } from './levelSelect';
+import { LevelEditor } from './levelEditor';
+import { Achievements } from './achievements';
+import { AchievementsScreen } from './achievementsScreen';
+import { Statistics } from './statistics';
+import { StatisticsScreen } from './statisticsScreen';
+import { LeaderboardView } from './leaderboardView';
+import { DailyChallenge, getDailyKey, getDailySeed, isDailySeed, getTimeUntilNextDaily, formatCountdown } from './daily';
 
 /**
- * Main game class that manages the game state and logic
+ * Available game modes
+ */
+export const GAME_MODES = ['endless', 'daily', 'blitz', 'puzzle'];
+
+/** Records kept per score category, enough for a few pages of the local leaderboard */
+const HIGH_SCORES_PER_CATEGORY = 50;
+
+/**
+ * Main game controller that wires the rules engine to the UI, audio and SDK
  */
 export class Game {
     /**
      * Creates a new game instance
      */
     constructor() {
-        this.boardSize = 5;
-        this.initialDice = 3;
+        // Board size picked in settings, used for the next new game
+        this.preferredBoardSize = loadFromLocalStorage('diceBoardSize', DEFAULT_BOARD_SIZE);
+        if (!isValidBoardSize(this.preferredBoardSize)) {
+            this.preferredBoardSize = DEFAULT_BOARD_SIZE;
+        }
+
+        // Merge rule picked in settings, used for the next new game
+        this.preferredMergeRule = loadFromLocalStorage('diceMergeRule', DEFAULT_MERGE_RULE);
+        if (!MERGE_RULES.includes(this.preferredMergeRule)) {
+            this.preferredMergeRule = DEFAULT_MERGE_RULE;
+        }
+
+        // Difficulty picked in settings, used for the next new game
+        this.preferredSpawnPreset = loadFromLocalStorage('diceDifficulty', DEFAULT_SPAWN_PRESET);
+        if (!SPAWN_PRESETS.includes(this.preferredSpawnPreset)) {
+            this.preferredSpawnPreset = DEFAULT_SPAWN_PRESET;
+        }
+
+        // Turn rule picked in settings (dice spawned after every merge), used for the next new game
+        this.preferredAutoSpawn = loadFromLocalStorage('diceAutoSpawn', DEFAULT_AUTO_SPAWN);
+        if (!AUTO_SPAWN_COUNTS.includes(this.preferredAutoSpawn)) {
+            this.preferredAutoSpawn = DEFAULT_AUTO_SPAWN;
+        }
 
         // Create the audio manager first
         this.audio = new AudioManager();
@@ -23,59 +75,159 @@ export class Game {
             this.audio?.playSound(soundName);
         };
 
-        // Game state
-        this.board = Array(this.boardSize * this.boardSize).fill(null);
-        this.score = 0;
-        this.moveCount = 0;
-        this.highestDie = 1;
+        // Game state (owned by the rules engine)
+        this.rng = new SeededRandom();
+        this.state = createState({
+            boardSize: this.preferredBoardSize,
+            seed: this.rng.seed,
+            rules: {
+                mergeRule: this.preferredMergeRule,
+                spawnPreset: this.preferredSpawnPreset,
+                autoSpawn: this.preferredAutoSpawn
+            }
+        });
         this.selectedCell = null;
         this.gameOver = false;
+        this.mode = 'endless';
+        this.scored = true; // False for practice runs that don't count towards scores
+        this.level = null; // Puzzle level being played
+        this.playtest = false; // True while trying out a level from the editor
+        this.levels = null; // Levels of the puzzle pack, loaded on first use
+        this.diceAdded = 0; // Add Dice presses this game, for achievements
+
+        // Undo/redo history, with the undo allowance kept between sessions
+        this.history = new MoveHistory(loadFromLocalStorage('diceUndoLimit', 3));
+
+        // Hints, evaluated off the main thread; the allowance per game is kept between sessions
+        this.hints = new HintProvider();
+        this.hintLimit = loadFromLocalStorage('diceHintLimit', 3); // Negative means unlimited
+        this.hintsUsed = 0;
+        this.hintPending = false;
+
+        // Upcoming dice shown next to Add Dice, up to what the difficulty allows
+        this.previewLength = loadFromLocalStorage('dicePreviewLength', 1);
+
+        // Countdown of Blitz games; dice spawn on its timer instead of the Add Dice button
+        this.blitz = new BlitzTimer({
+            onTick: (remaining) => this.ui.updateBlitzTimer(remaining),
+            onSpawn: () => this.addRandomDie('timer'),
+            onExpire: () => {
+                if (!this.gameOver) this.handleGameOver();
+            }
+        });
 
         this.lastLeaderboardUpdate = 0;
         this.leaderboardUpdateInterval = 30000; // 30 seconds in milliseconds
         this.scoreChanged = false;
 
-        // Load high scores from local storage
+        // Load high scores from local storage; each game adds one record when it ends or is abandoned
         this.highScores = loadFromLocalStorage('diceHighScores', []);
+        this.scoreRecorded = false; // Whether the current game's record was written
+        this.lastRecord = null; // Record of the finished game with the best score before it
+        this.highScoresBeforeHidden = null; // High scores before a hidden Blitz game's record was written
 
         // Initialize UI
         this.ui = new UI(this);
 
+        // Replay recording of the current game and playback of finished ones
+        this.recorder = new ReplayRecorder();
+        this.replayViewer = new ReplayViewer(this);
+
+        // Puzzle level list and editor
+        this.levelSelect = new LevelSelect(this);
+        this.levelEditor = new LevelEditor(this);
+        this.achievementsScreen = new AchievementsScreen(this);
+        this.statisticsScreen = new StatisticsScreen(this);
+        this.leaderboardView = new LeaderboardView(this);
+
         // Initialize localization first with default settings
         this.localization = new Localization();
+        this.ui.localization = this.localization;
 
-        // Initialize Yandex SDK
-        this.yandexSDK = new YandexSDK(this);
-
-        // Wait for SDK initialization before starting the game
-        this.waitForSDKInitialization();
-    }
-    /*
-    * Wait for the Yandex SDK to initialize before proceeding
-    */
-    waitForSDKInitialization() {
-        // Define a check function
-        const checkSDKInit = () => {
-            if (this.yandexSDK.initialized) {
-                // SDK is initialized, now initialize localization with SDK
-                this.initLocalization();
-            } else {
-                // Check again after a short delay
-                setTimeout(checkSDKInit, 100);
-            }
-        };
+        // Portal the game runs on (Yandex Games, or local when offline)
+        this.platform = createPlatform(this);
+
+        // Daily challenge attempt tracking
+        this.daily = new DailyChallenge(this.platform);
+
+        // Best result of every puzzle level
+        this.levelProgress = new LevelProgress(this.platform);
+
+        // Long-term achievements, advanced by game events
+        this.achievements = new Achievements(this.platform);
+
+        // Lifetime totals shown on the statistics screen
+        this.statistics = new Statistics(this.platform);
+
+        // In-progress game saved after every move
+        this.savedGames = new SavedGameStore(this.platform);
+
+        // Wait for the platform to initialize before starting the game
+        this.platform.onInit(() => this.initLocalization());
+    }
+
+    /** @returns {number} Width and height of the current board */
+    get boardSize() {
+        return this.state.boardSize;
+    }
+
+    /** @returns {string} Merge rule of the current game */
+    get mergeRule() {
+        return this.state.rules.mergeRule;
+    }
+
+    /** @returns {string} Difficulty (spawn table preset) of the current game */
+    get spawnPreset() {
+        return this.state.rules.spawnPreset;
+    }
 
-        // Start checking
-        checkSDKInit();
+    /** @returns {number} Dice spawned after every merge, 0 unless Classic Turn is played */
+    get autoSpawn() {
+        return this.state.rules.autoSpawn || 0;
     }
 
+    /** @returns {Array<number|null>} Current board cells */
+    get board() {
+        return this.state.board;
+    }
+
+    /** @returns {number} Current score */
+    get score() {
+        return this.state.score;
+    }
+
+    /** @returns {number} Number of merges made this game */
+    get moveCount() {
+        return this.state.moveCount;
+    }
+
+    /** @returns {number} Highest die value reached this game */
+    get highestDie() {
+        return this.state.highestDie;
+    }
+
+    /** @returns {number} Seed of the current game */
+    get seed() {
+        return this.state.seed;
+    }
+
+    /** @returns {boolean} True while the board shows a replay or the level editor instead of the game */
+    get boardLocked() {
+        return this.replayViewer.active || this.levelEditor.active;
+    }
     /**
   * Initialize localization
   */
     async initLocalization() {
         try {
-            // Initialize localization with Yandex SDK
-            await this.localization.init(this.yandexSDK);
+            // Initialize localization with the platform's language
+            await this.localization.init(this.platform);
+
+            // Pick up a daily attempt, level results, achievements and statistics from another device
+            await this.daily.syncFromCloud();
+            await this.levelProgress.syncFromCloud();
+            await this.achievements.syncFromCloud();
+            await this.statistics.syncFromCloud();
 
             // Register for language change events
             document.addEventListener('languageChanged', () => {
@@ -101,17 +253,305 @@ export class Game {
         // Set up add die button
         this.setupAddDieButton();
 
+        // Set up undo/redo buttons and settings
+        this.setupHistoryControls();
+
+        // Set up hint button and settings
+        this.setupHintControls();
+        this.setupNextDicePreview();
+
+        // Set up replay playback
+        this.setupReplayControls();
+
+        // Set up the puzzle level list and editor
+        this.levelSelect.setupControls();
+        this.levelEditor.setupControls();
+        this.achievementsScreen.setupControls();
+        this.statisticsScreen.setupControls();
+
         // Set up leaderboard tabs
         this.setupLeaderboardTabs();
 
         // Set up language switcher
         this.setupLanguageSwitcher();
 
+        // Set up game mode and board size selectors and daily countdown
+        this.setupModeSelector();
+        this.setupBoardSizeSelector();
+        this.setupMergeRuleSelector();
+        this.setupDifficultySelector();
+        this.setupTurnRuleSelector();
+        this.updateDailyStatus();
+        setInterval(() => this.updateDailyStatus(), 1000);
+
         // Update UI with current language
         this.updateUI();
 
-        // Start new game
-        this.startNewGame();
+        // Open a shared replay or position from the URL, otherwise
+        // offer to continue a saved game or start a new one
+        if (!this.loadFromUrl()) {
+            this.offerResume();
+        }
+    }
+
+    /**
+     * Load a game code passed as ?replay= or ?position= in the page URL
+     * @returns {boolean} True if a code was loaded
+     */
+    loadFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const code = params.get('replay') || params.get('position');
+        if (!code) return false;
+
+        // Drop the code from the address so a reload goes back to the saved game
+        params.delete('replay');
+        params.delete('position');
+        const query = params.toString();
+        window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+
+        // After watching a shared replay, carry on as if the page was opened normally
+        return this.loadGameCode(code, () => this.offerResume());
+    }
+
+    /**
+     * Load a replay or position code
+     * Replays open in the viewer; positions are played on as an unscored game.
+     * @param {string} code - Replay or position notation
+     * @param {Function} onReplayClose - Called when a loaded replay is closed
+     * @returns {boolean} True if the code was valid
+     */
+    loadGameCode(code, onReplayClose = () => this.returnFromReplay()) {
+        let decoded;
+        try {
+            decoded = decodeGameCode(code);
+        } catch (error) {
+            console.warn('Invalid game code:', error);
+            this.ui.showMessage(this.localization.get('invalid_code'));
+            setTimeout(() => this.ui.hideMessage(), 2000);
+            return false;
+        }
+
+        if (decoded.type === 'replay') {
+            this.ui.hideGameOver();
+            this.blitz.pause('replay');
+            if (this.replayViewer.open(decoded.replay, onReplayClose)) {
+                this.updateGameplay();
+                return true;
+            }
+            this.ui.showMessage(this.localization.get('invalid_code'));
+            setTimeout(() => this.ui.hideMessage(), 2000);
+            this.returnFromReplay();
+            return false;
+        }
+
+        // Positions without a seed get a fresh one for the following spawns, and so do positions
+        // of a challenge still to be played, which mustn't carry on with the challenge's dice
+        const keepSeed = decoded.state.seed !== null && !isDailySeed(decoded.state.seed);
+        const seed = keepSeed ? decoded.state.seed : generateSeed();
+        this.replayViewer.close(false);
+        this.resumeGame({
+            state: { ...decoded.state, seed },
+            rngState: keepSeed ? decoded.rngState : null,
+            mode: 'endless',
+            scored: false
+        });
+        return true;
+    }
+
+    /**
+     * Ask the player whether to continue a saved game
+     */
+    async offerResume() {
+        let savedGame = null;
+        try {
+            savedGame = await this.savedGames.load();
+        } catch (error) {
+            console.warn('Error loading saved game:', error);
+        }
+
+        if (!savedGame) {
+            this.startNewGame();
+            return;
+        }
+
+        this.ui.showResumePrompt(
+            this.localization.get('resume_summary', {
+                mode: this.localization.get(`mode_${savedGame.mode}`),
+                score: savedGame.state.score,
+                highestDie: savedGame.state.highestDie
+            }),
+            () => this.resumeGame(savedGame),
+            () => {
+                // The declined game still gets its high-score record before a new one replaces it
+                this.saveDeclinedScore(savedGame);
+                this.startNewGame();
+            }
+        );
+    }
+
+    /**
+     * Continue a saved game
+     * @param {Object} savedGame - Game data returned by SavedGameStore#load
+     */
+    resumeGame(savedGame) {
+        // An unfinished game being replaced still gets its high-score record
+        if (!this.gameOver) this.saveScore();
+
+        // Blitz games aren't saved, so a resumed game never runs the clock
+        this.blitz.stop();
+        this.ui.showBlitzTimer(false);
+
+        this.mode = savedGame.mode;
+        this.scored = savedGame.scored;
+        this.level = savedGame.level || null;
+        this.playtest = !!savedGame.playtest;
+
+        const modeSelect = document.getElementById('mode-select');
+        if (modeSelect) modeSelect.value = this.mode;
+
+        this.rng = new SeededRandom(savedGame.state.seed);
+        if (savedGame.rngState !== null && savedGame.rngState !== undefined) {
+            this.rng.setState(savedGame.rngState);
+        }
+        // Saves and position codes from before the preview have no dice rolled ahead yet
+        this.state = fillUpcomingSpawns(savedGame.state, this.rng.next);
+        this.selectedCell = null;
+        this.gameOver = false;
+        this.lastLeaderboardUpdate = 0;
+        this.scoreChanged = false;
+        this.scoreRecorded = false;
+        this.lastRecord = null;
+        this.highScoresBeforeHidden = null;
+        this.history.clear();
+        this.hintsUsed = savedGame.hintsUsed || 0;
+        this.diceAdded = savedGame.diceAdded || 0;
+
+        // Keep recording the replay; the cloud copy has none, so start a new one from here.
+        // A reload ends any combo or streak, so the new recording starts without one.
+        if (savedGame.replay) {
+            this.recorder.resume(savedGame.replay);
+        } else {
+            this.state = { ...this.state, scoring: createScoringState() };
+            this.recorder.start(this.state, { mode: this.mode });
+        }
+
+        // Under Classic Turn a position code (or a save from before the rule spawned to unblock the
+        // player) may leave no merge, and there is no Add Dice button to get out of it
+        this.spawnForcedDice(0);
+
+        // The saved game may use a different board size than the current cells
+        if (this.ui.cells.length !== this.board.length) {
+            this.ui.createBoardCells();
+        }
+
+        this.ui.renderBoard(this.board);
+        this.ui.updateScore(this.score, this.highestDie);
+        this.ui.updateSeed(this.seed);
+        this.ui.hideGameOver();
+        this.updateModeBadge();
+        this.updateDailyStatus();
+        this.updateAddDieButton();
+        this.updateHistoryButtons();
+        this.updateHintButton();
+        this.updateGameplay();
+
+        // A saved game may already be finished if the last move ended it
+        if (this.isGameOver()) {
+            this.handleGameOver();
+        }
+    }
+
+    /**
+     * Save the game in progress so it can be resumed after a reload
+     */
+    saveProgress() {
+        // Blitz games are too short (and too timing-dependent) to resume
+        if (this.gameOver || this.mode === 'blitz') return;
+
+        this.savedGames.save({
+            state: this.state,
+            rngState: this.rng.getState(),
+            mode: this.mode,
+            scored: this.scored,
+            level: this.level,
+            playtest: this.playtest,
+            hintsUsed: this.hintsUsed,
+            diceAdded: this.diceAdded,
+            replay: this.recorder.replay
+        });
+    }
+
+    /**
+     * Set up the replay viewer controls and the game over "Watch Replay" button
+     */
+    setupReplayControls() {
+        this.replayViewer.setupControls();
+
+        const watchReplayBtn = document.getElementById('watch-replay-btn');
+        if (watchReplayBtn) {
+            watchReplayBtn.addEventListener('click', () => this.watchReplay());
+        }
+
+        const copyReplayBtn = document.getElementById('copy-replay-btn');
+        if (copyReplayBtn) {
+            copyReplayBtn.addEventListener('click', () => {
+                if (this.recorder.replay) {
+                    this.copyGameCode(() => encodeReplay(this.recorder.replay));
+                }
+            });
+        }
+
+        const copyPositionBtn = document.getElementById('copy-position-btn');
+        if (copyPositionBtn) {
+            copyPositionBtn.addEventListener('click', () => {
+                this.copyGameCode(() => encodePosition(this.state, this.rng.getState()));
+            });
+        }
+    }
+
+    /**
+     * Copy a replay or position code and tell the player
+     * @param {Function} encode - Returns the notation to copy
+     */
+    async copyGameCode(encode) {
+        let code;
+        try {
+            code = encode();
+        } catch (error) {
+            console.warn('Error encoding game code:', error);
+            this.ui.showMessage(this.localization.get('error_encoding'));
+            setTimeout(() => this.ui.hideMessage(), 2000);
+            return;
+        }
+
+        const copied = await copyToClipboard(code);
+        this.ui.showMessage(this.localization.get(copied ? 'code_copied' : 'error_copying'));
+        setTimeout(() => this.ui.hideMessage(), 2000);
+    }
+
+    /**
+     * Play the finished game back, then return to the game over screen
+     */
+    watchReplay() {
+        if (!this.recorder.replay) return;
+
+        this.ui.hideGameOver();
+        const opened = this.replayViewer.open(this.recorder.replay, () => this.returnFromReplay());
+
+        if (!opened) {
+            this.returnFromReplay();
+        }
+    }
+
+    /**
+     * Go back to the current game after watching a replay
+     */
+    returnFromReplay() {
+        this.blitz.resume('replay');
+        this.updateGameplay();
+        if (this.gameOver) {
+            this.showGameOverScreen();
+        }
     }
 
     /**
@@ -156,10 +596,180 @@ export class Game {
 
         console.log('Language switcher initialized with', Object.keys(languages).length, 'languages');
     }
+
+    /**
+     * Set up the game mode selector in the settings menu
+     */
+    setupModeSelector() {
+        const modeSelect = document.getElementById('mode-select');
+        if (!modeSelect) return;
+
+        modeSelect.innerHTML = '';
+        GAME_MODES.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.dataset.locKey = `mode_${mode}`;
+            option.textContent = this.localization.get(`mode_${mode}`);
+            option.selected = mode === this.mode;
+            modeSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Set up the board size selector in the settings menu
+     */
+    setupBoardSizeSelector() {
+        const boardSizeSelect = document.getElementById('board-size-select');
+        if (!boardSizeSelect) return;
+
+        boardSizeSelect.innerHTML = '';
+        Object.keys(BOARD_SIZES).forEach(size => {
+            const option = document.createElement('option');
+            option.value = size;
+            option.textContent = `${size}×${size}`;
+            option.selected = Number(size) === this.preferredBoardSize;
+            boardSizeSelect.appendChild(option);
+        });
+
+        // Remember the choice; it applies from the next new game
+        boardSizeSelect.addEventListener('change', () => {
+            this.preferredBoardSize = Number(boardSizeSelect.value);
+            saveToLocalStorage('diceBoardSize', this.preferredBoardSize);
+        });
+    }
+
+    /**
+     * Set up the merge rule selector in the settings menu
+     */
+    setupMergeRuleSelector() {
+        const mergeRuleSelect = document.getElementById('merge-rule-select');
+        if (!mergeRuleSelect) return;
+
+        mergeRuleSelect.innerHTML = '';
+        MERGE_RULES.forEach(mergeRule => {
+            const option = document.createElement('option');
+            option.value = mergeRule;
+            option.dataset.locKey = `merge_${mergeRule}`;
+            option.textContent = this.localization.get(`merge_${mergeRule}`);
+            option.selected = mergeRule === this.preferredMergeRule;
+            mergeRuleSelect.appendChild(option);
+        });
+
+        // Remember the choice; it applies from the next new game
+        mergeRuleSelect.addEventListener('change', () => {
+            this.preferredMergeRule = mergeRuleSelect.value;
+            saveToLocalStorage('diceMergeRule', this.preferredMergeRule);
+        });
+    }
+
+    /**
+     * Set up the difficulty selector in the settings menu
+     */
+    setupDifficultySelector() {
+        const difficultySelect = document.getElementById('difficulty-select');
+        if (!difficultySelect) return;
+
+        difficultySelect.innerHTML = '';
+        SPAWN_PRESETS.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset;
+            option.dataset.locKey = `difficulty_${preset}`;
+            option.textContent = this.localization.get(`difficulty_${preset}`);
+            option.selected = preset === this.preferredSpawnPreset;
+            difficultySelect.appendChild(option);
+        });
+
+        // Remember the choice; it applies from the next new game
+        difficultySelect.addEventListener('change', () => {
+            this.preferredSpawnPreset = difficultySelect.value;
+            saveToLocalStorage('diceDifficulty', this.preferredSpawnPreset);
+        });
+    }
+
+    /**
+     * Set up the turn rule selector in the settings menu
+     */
+    setupTurnRuleSelector() {
+        const turnRuleSelect = document.getElementById('turn-rule-select');
+        if (!turnRuleSelect) return;
+
+        turnRuleSelect.innerHTML = '';
+        AUTO_SPAWN_COUNTS.forEach(count => {
+            const option = document.createElement('option');
+            option.value = count;
+            option.dataset.locKey = `auto_spawn_${count}`;
+            option.textContent = this.localization.get(`auto_spawn_${count}`);
+            option.selected = count === this.preferredAutoSpawn;
+            turnRuleSelect.appendChild(option);
+        });
+
+        // Remember the choice; it applies from the next new game
+        turnRuleSelect.addEventListener('change', () => {
+            this.preferredAutoSpawn = Number(turnRuleSelect.value);
+            saveToLocalStorage('diceAutoSpawn', this.preferredAutoSpawn);
+        });
+    }
+
+    /**
+     * Get the mode picked in the settings menu
+     * @returns {string} Game mode
+     */
+    getSelectedMode() {
+        const modeSelect = document.getElementById('mode-select');
+        return modeSelect && GAME_MODES.includes(modeSelect.value) ? modeSelect.value : this.mode;
+    }
+
+    /**
+     * Update the daily challenge status and countdown texts
+     */
+    updateDailyStatus() {
+        const countdown = this.localization.get('daily_next', {
+            time: formatCountdown(getTimeUntilNextDaily())
+        });
+
+        const dailyStatus = document.getElementById('daily-status');
+        if (dailyStatus) {
+            const status = this.localization.get(this.daily.hasPlayedToday() ? 'daily_played' : 'daily_ready');
+            dailyStatus.textContent = `${status} ${countdown}`;
+        }
+
+        const dailyNext = document.getElementById('daily-next');
+        if (dailyNext) {
+            dailyNext.textContent = countdown;
+            dailyNext.style.display = this.mode === 'daily' ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Show which mode the current game is played in
+     */
+    updateModeBadge() {
+        const modeBadge = document.getElementById('mode-badge');
+        if (!modeBadge) return;
+
+        if (this.mode === 'daily') {
+            modeBadge.textContent = this.localization.get('daily_badge', { date: getDailyKey() });
+            modeBadge.style.display = 'block';
+        } else if (this.level) {
+            // Puzzle levels show their goal and what's left to reach it
+            modeBadge.textContent = this.localization.get('level_badge', {
+                name: this.level.name,
+                goal: this.getLevelGoalText(),
+                moves: getMovesLeft(this.level, this.state),
+                dice: this.state.spawnQueue.length
+            });
+            modeBadge.style.display = 'block';
+        } else {
+            modeBadge.style.display = 'none';
+        }
+    }
     /**
         * Update UI elements with localized text
         */
     updateUI() {
+        // Update generic elements marked with data-loc-key
+        this.ui.updateLocalizedElements();
+
         // Update page title
         document.title = this.localization.get('game_title');
 
@@ -189,7 +799,10 @@ export class Game {
         this.updateTutorial();
 
         // Update leaderboard
-        this.updateLeaderboardUI();
+        this.leaderboardView.refresh();
+
+        // Update mode badge
+        this.updateModeBadge();
     }
     /**
   * Update specific UI elements with localized text
@@ -410,52 +1023,169 @@ export class Game {
     }
     /**
      * Start a new game
+     * @param {Object} options - Options for the new game
+     * @param {number|string} options.seed - Seed to replay; a fresh one is generated if omitted
+     * @param {string} options.mode - Game mode; defaults to the mode picked in settings
+     * @param {number} options.boardSize - Board size; defaults to the size picked in settings
+     * @param {string} options.mergeRule - Merge rule; defaults to the rule picked in settings
+     * @param {string} options.spawnPreset - Difficulty; defaults to the one picked in settings
+     * @param {number} options.autoSpawn - Dice spawned after every merge; defaults to the turn rule picked in settings
+     * @param {Object} options.level - Puzzle level to play, for the puzzle mode
+     * @param {boolean} options.playtest - The level comes from the editor; its result isn't kept
      */
-    startNewGame() {
-        // First try to show an ad if Yandex SDK is initialized
-        if (this.yandexSDK && this.yandexSDK.initialized && typeof this.yandexSDK.showFullscreenAd === 'function') {
+    startNewGame(options = {}) {
+        // Puzzle games start from the level list
+        if ((options.mode || this.getSelectedMode()) === 'puzzle' && !options.level) {
+            this.showLevelSelect();
+            return;
+        }
+
+        // First try to show an ad if the platform is initialized
+        if (this.platform.initialized) {
             console.log('Attempting to show ad before starting new game');
-            // We'll show an ad and then start a new game when it's closed
-            this.yandexSDK.showFullscreenAd()
+            // We'll show an ad and then start a new game when it's closed; a Blitz clock holds meanwhile
+            this.blitz.pause('ad');
+            this.platform.gameplayStop();
+            this.platform.showFullscreenAd()
                 .then(result => {
                     console.log('Ad result:', result);
-                    this.actuallyStartNewGame();
+                    this.blitz.resume('ad');
+                    this.actuallyStartNewGame(options);
                 })
                 .catch(error => {
                     console.warn('Failed to show ad, starting game anyway:', error);
-                    this.actuallyStartNewGame();
+                    this.blitz.resume('ad');
+                    this.actuallyStartNewGame(options);
                 });
         } else {
-            // If SDK is not available, just start the game
+            // If the platform is not available, just start the game
             console.log('Ad functionality not available, starting game directly');
-            this.actuallyStartNewGame();
+            this.actuallyStartNewGame(options);
         }
     }
-    actuallyStartNewGame() {
-        // Reset game state
-        this.board = Array(this.boardSize * this.boardSize).fill(null);
-        this.score = 0;
-        this.moveCount = 0;
-        this.highestDie = 1;
+    actuallyStartNewGame({
+        seed = generateSeed(),
+        mode = this.getSelectedMode(),
+        boardSize = this.preferredBoardSize,
+        mergeRule = this.preferredMergeRule,
+        spawnPreset = this.preferredSpawnPreset,
+        autoSpawn = this.preferredAutoSpawn,
+        level = null,
+        playtest = false
+    } = {}) {
+        // An unfinished game being replaced still gets its high-score record
+        if (!this.gameOver) this.saveScore();
+
+        this.mode = mode;
+        this.scored = true;
+        this.level = mode === 'puzzle' ? level : null;
+        this.playtest = this.level !== null && playtest;
+
+        // Keep the settings selector in sync with the mode actually played
+        const modeSelect = document.getElementById('mode-select');
+        if (modeSelect) modeSelect.value = mode;
+
+        // Daily games share one seed per day and only the first attempt is scored
+        if (mode === 'daily') {
+            seed = getDailySeed();
+            boardSize = DEFAULT_BOARD_SIZE;
+            mergeRule = DEFAULT_MERGE_RULE;
+            spawnPreset = DEFAULT_SPAWN_PRESET;
+            autoSpawn = DEFAULT_AUTO_SPAWN;
+            this.scored = this.daily.startAttempt();
+
+            if (!this.scored) {
+                this.ui.showMessage(this.localization.get('daily_practice'));
+                setTimeout(() => this.ui.hideMessage(), 3000);
+            }
+        }
+
+        // Leave any replay being watched or level being edited, and stop the clock of a Blitz game in progress
+        this.replayViewer.close(false);
+        this.levelEditor.close(false);
+        this.blitz.stop();
+
+        // Blitz games aren't saved, so starting one abandons the saved game
+        if (mode === 'blitz') {
+            this.savedGames.clear();
+        }
+
+        // Reset game state with a fresh random sequence; puzzle levels bring their own
+        // board and seed, and are played for stars rather than score
+        if (this.level) {
+            this.scored = false;
+            this.state = createLevelState(this.level);
+            this.rng = new SeededRandom(this.state.seed);
+        } else {
+            this.rng = new SeededRandom(seed);
+            this.state = createState({ boardSize, seed: this.rng.seed, rules: { mergeRule, spawnPreset, autoSpawn } });
+        }
         this.selectedCell = null;
         this.gameOver = false;
         this.lastLeaderboardUpdate = 0;
         this.scoreChanged = false;
+        this.scoreRecorded = false;
+        this.lastRecord = null;
+        this.highScoresBeforeHidden = null;
 
-        // Clear all cells in UI
+        // Rebuild the cells if the board size changed, then clear them
+        if (this.ui.cells.length !== this.board.length) {
+            this.ui.createBoardCells();
+        }
         this.ui.resetBoard();
 
-        // Add initial dice
-        for (let i = 0; i < this.initialDice; i++) {
-            this.addRandomDie();
+        // Record the game from the empty board, so the opening dice are part of the replay
+        this.recorder.start(this.state, { mode });
+
+        // Add initial dice, or show the level's starting board
+        if (this.level) {
+            this.ui.renderBoard(this.board);
+        } else {
+            const initialDice = getInitialDice(boardSize);
+            for (let i = 0; i < initialDice; i++) {
+                this.addRandomDie('opening');
+            }
+
+            // Under Classic Turn the opening gets dice until there is a merge, like every turn after it
+            this.spawnForcedDice(0);
         }
 
+        // The opening position can't be undone
+        this.history.clear();
+        this.updateHistoryButtons();
+        this.hintsUsed = 0;
+        this.diceAdded = 0;
+        this.updateHintButton();
+
+        // Blitz starts the clock once the opening dice are down
+        this.ui.showBlitzTimer(mode === 'blitz');
+        if (mode === 'blitz') {
+            this.blitz.start();
+        }
+
+        this.saveProgress();
+
         // Update displays
         this.ui.updateScore(this.score, this.highestDie);
+        this.ui.updateSeed(this.seed);
         this.ui.hideGameOver();
+        this.updateModeBadge();
+        this.updateDailyStatus();
 
         // Enable/disable add die button based on available space
         this.updateAddDieButton();
+        this.updateGameplay();
+    }
+
+    /**
+     * Tell the platform whether the game is being played: not over, and not hidden by a replay or the editor
+     */
+    updateGameplay() {
+        if (this.gameOver || this.boardLocked) {
+            this.platform.gameplayStop();
+        } else {
+            this.platform.gameplayStart();
+        }
     }
 
     /**
@@ -465,8 +1195,11 @@ export class Game {
         const addDieBtn = document.getElementById('add-die-btn');
         if (!addDieBtn) return;
 
-        // Check if there are any empty cells
-        const hasEmptyCells = this.board.includes(null);
+        // Blitz spawns dice on its own timer, Classic Turn after every merge
+        addDieBtn.style.display = this.mode === 'blitz' || this.autoSpawn > 0 ? 'none' : '';
+
+        // Check if there are any empty cells (and, in puzzles, dice left in the queue)
+        const hasEmptyCells = canSpawn(this.state);
 
         // Enable/disable button
         addDieBtn.disabled = !hasEmptyCells || this.gameOver;
@@ -477,27 +1210,69 @@ export class Game {
         } else {
             addDieBtn.classList.remove('disabled');
         }
+
+        this.updateNextDice();
     }
 
     /**
-     * Handle cell click event
-     * @param {number} index - Index of the clicked cell
+     * Set up the next dice preview length setting
      */
-    handleCellClick(index) {
-        if (this.gameOver) return;
-
-        // If there's no die in this cell, ignore the click
-        if (this.board[index] === null) return;
-
-        // If nothing is selected yet, select this cell
-        if (this.selectedCell === null) {
-            this.selectedCell = index;
-            this.ui.selectCell(index);
-            this.audio.playSound('select');
-            return;
+    setupNextDicePreview() {
+        const previewSelect = document.getElementById('preview-length-select');
+
+        if (previewSelect) {
+            previewSelect.value = String(this.previewLength);
+            previewSelect.addEventListener('change', () => {
+                this.previewLength = Number(previewSelect.value);
+                saveToLocalStorage('dicePreviewLength', this.previewLength);
+                this.updateNextDice();
+            });
         }
 
-        // If clicking on the already selected cell, deselect it
+        this.updateNextDice();
+    }
+
+    /**
+     * Show the next dice to be added, as many as the setting and the difficulty allow
+     * Puzzle levels preview their spawn queue whatever the difficulty setting.
+     */
+    updateNextDice() {
+        this.ui.renderNextDice(getUpcomingSpawns(this.state, this.getVisibleUpcomingCount()));
+    }
+
+    /**
+     * @returns {number} Upcoming dice the player can see: the chosen preview length, within the difficulty's limit
+     */
+    getVisibleUpcomingCount() {
+        return this.level ? this.previewLength : Math.min(this.previewLength, PREVIEW_LIMITS[this.spawnPreset]);
+    }
+
+    /**
+     * Handle cell click event
+     * @param {number} index - Index of the clicked cell
+     */
+    handleCellClick(index) {
+        // The level editor paints on the board instead
+        if (this.levelEditor.active) {
+            this.levelEditor.paintCell(index);
+            return;
+        }
+
+        if (this.gameOver || this.boardLocked) return;
+        this.ui.clearHint();
+
+        // If there's no die in this cell (or just a stone), ignore the click
+        if (!isMovable(this.board[index])) return;
+
+        // If nothing is selected yet, select this cell
+        if (this.selectedCell === null) {
+            this.selectedCell = index;
+            this.ui.selectCell(index);
+            this.audio.playSound('select');
+            return;
+        }
+
+        // If clicking on the already selected cell, deselect it
         if (this.selectedCell === index) {
             this.ui.deselectCell(index);
             this.selectedCell = null;
@@ -505,7 +1280,7 @@ export class Game {
         }
 
         // If the dice values match, merge them
-        if (this.board[this.selectedCell] === this.board[index]) {
+        if (this.canMerge(this.selectedCell, index)) {
             this.mergeDice(this.selectedCell, index);
         } else {
             // If they don't match, deselect the previous cell and select this one
@@ -516,61 +1291,89 @@ export class Game {
         }
     }
 
+    /**
+     * Check whether two cells can be merged under the current rules
+     * @param {number} from - Index of the source die
+     * @param {number} to - Index of the target die
+     * @returns {boolean} True if the merge is legal
+     */
+    canMerge(from, to) {
+        return canMerge(this.state, from, to);
+    }
+
     /**
      * Merge two dice
      * @param {number} index1 - Index of the first die
      * @param {number} index2 - Index of the second die
      */
     mergeDice(index1, index2) {
-        // Get the value of the dice being merged
-        const value = this.board[index1];
-
-        // Create a new die with value + 1
-        const newValue = value + 1;
+        const before = this.createSnapshot();
+        const now = Date.now();
+        const result = applyMerge(this.state, index1, index2, { now });
+        if (!result) return;
 
-        // Remove dice from both cells
-        this.board[index1] = null;
-        this.board[index2] = null;
+        this.state = result.state;
+        this.ui.clearHint();
+        this.recorder.recordMerge(index1, index2, now);
 
-        // Update UI
+        // Update UI: the new die is placed in the second cell
         this.ui.clearCell(index1);
-        this.ui.clearCell(index2);
-
-        // Place new die in the second cell
-        this.board[index2] = newValue;
-        this.ui.renderDie(index2, newValue);
+        this.ui.renderDie(index2, result.value);
         this.ui.animateMerge(index2);
 
-        // Play merge sound
-        this.audio.playSound('merge');
+        // A bomb blast and broken stones empty the cells around the merge
+        result.cleared.concat(result.brokenStones).forEach(index => this.ui.animateClear(index));
 
-        // Update score
-        this.score += newValue * 2;
+        // Big merges buy back time in Blitz
+        if (this.mode === 'blitz') {
+            const bonus = getTimeBonus(result.value);
+            if (bonus > 0) {
+                this.blitz.addTime(bonus);
+                this.ui.showTimeBonus(bonus);
+            }
+        }
 
-        // Save score after each merge
-        this.saveScore();
+        // Show the points, combo multiplier and streak next to the new die
+        this.ui.showFloatingScore(index2, result.points, result.score.multiplier, result.score.streak);
+        if (result.score.clearBonus > 0) {
+            this.ui.showMessage(this.localization.get('board_clear_bonus', { points: result.score.clearBonus }));
+            setTimeout(() => this.ui.hideMessage(), 2000);
+        }
 
-        this.moveCount++;
+        // Play merge sound
+        this.audio.playSound('merge');
 
-        // Update highest die if needed
-        if (newValue > this.highestDie) {
-            this.highestDie = newValue;
+        // Classic Turn: the merge brings new dice, and undo takes them back together with it
+        const spawned = this.spawnForcedDice();
+        this.history.record({ type: 'merge', from: index1, to: index2, before, after: this.createSnapshot(), steps: 1 + spawned });
+        this.updateHistoryButtons();
 
+        // Keep the platform leaderboard up to date during long games
+        this.queueLeaderboardUpdate();
+
+        // Announce a new highest die
+        if (result.newRecord) {
             // Play upgrade sound for new highest die
             this.audio.playSound('upgrade');
 
             // Display localized achievement message for new highest die
-            const message = this.localization.get('new_record', { value: newValue });
+            const message = this.localization.get('new_record', { value: result.value });
             this.ui.showMessage(message);
             setTimeout(() => this.ui.hideMessage(), 2000);
         }
 
+        if (this.countsTowardsProgress) {
+            this.statistics.recordMerge(result.value);
+        }
+        this.recordAchievementEvent('merge', { value: result.value, score: this.score });
+
         // Clear selection
         this.ui.deselectCell(index1);
         this.selectedCell = null;
 
         // Update displays
         this.ui.updateScore(this.score, this.highestDie);
+        this.updateModeBadge();
 
         // Update add die button
         this.updateAddDieButton();
@@ -578,78 +1381,282 @@ export class Game {
         // Check if game is over
         if (this.isGameOver()) {
             this.handleGameOver();
+        } else {
+            this.saveProgress();
         }
     }
 
 
     /**
      * Add a random die to an empty cell
+     * @param {string} source - What added the die, see recordSpawn
      */
-    addRandomDie() {
-        // Find all empty cells
-        const emptyCells = this.board.map((val, idx) => val === null ? idx : -1).filter(idx => idx !== -1);
+    addRandomDie(source = 'player') {
+        if (this.boardLocked) return;
+
+        const before = this.createSnapshot();
+        const result = spawn(this.state, this.rng.next);
 
         // If there are no empty cells, disable button and return
-        if (emptyCells.length === 0) {
+        if (!result) {
             this.updateAddDieButton();
             return;
         }
 
-        // Choose a random empty cell
-        const randomIndex = emptyCells[Math.floor(Math.random() * emptyCells.length)];
-
-        // Determine the value of the new die (1 with 70% probability, 2 with 30% probability)
-        const value = Math.random() < 0.7 ? 1 : 2;
-
         // Place the new die
-        this.board[randomIndex] = value;
-        this.ui.renderDie(randomIndex, value);
-        this.ui.animateNew(randomIndex);
+        this.state = result.state;
+        this.history.record({ type: 'spawn', index: result.index, value: result.value, before, after: this.createSnapshot() });
+        this.recorder.recordSpawn(result.index, result.value);
+        this.updateHistoryButtons();
+        this.ui.renderDie(result.index, result.value);
+        this.ui.animateNew(result.index);
+        this.recordSpawn(source);
 
         // Play place sound
         this.audio.playSound('place');
 
         // Check if board is full
         this.updateAddDieButton();
+        this.updateModeBadge();
 
         // Check if game is over
         if (this.isGameOver()) {
             this.handleGameOver();
+        } else {
+            this.saveProgress();
         }
     }
 
     /**
-     * Check if the game is over
-     * @returns {boolean} True if game is over
+     * Play and show the spawns forced under Classic Turn (see playForcedSpawns in the engine)
+     * They are part of the move that forced them, so the move history is left to the caller.
+     * @param {number} count - Dice to spawn, defaults to the turn rule's count per merge
+     * @returns {number} Number of dice spawned
      */
-    isGameOver() {
-        // If there are any empty cells, game is not over
-        if (this.board.includes(null)) {
-            return false;
+    spawnForcedDice(count) {
+        const result = playForcedSpawns(this.state, this.rng.next, count);
+        this.state = result.state;
+
+        result.spawns.forEach(({ index, value }) => {
+            this.recorder.recordSpawn(index, value);
+            this.ui.renderDie(index, value);
+            this.ui.animateNew(index);
+            this.recordSpawn('turn');
+        });
+
+        if (result.spawns.length > 0) {
+            this.audio.playSound('place');
         }
+        return result.spawns.length;
+    }
 
-        // Check if there are any possible merges
-        for (let row = 0; row < this.boardSize; row++) {
-            for (let col = 0; col < this.boardSize; col++) {
-                const index = row * this.boardSize + col;
-                const value = this.board[index];
+    /**
+     * Report a die put on the board to the game's Add Dice count, statistics and achievements
+     * Every spawn comes through here, and each of them decides from the source what it counts.
+     * @param {string} source - 'player' for Add Dice, 'opening' for the dice a game starts with,
+     *        'timer' for Blitz spawns or 'turn' for Classic Turn spawns
+     */
+    recordSpawn(source) {
+        if (source === 'player') {
+            this.diceAdded++;
+        }
+        if (this.countsTowardsProgress) {
+            this.statistics.recordSpawn(source);
+        }
+        this.recordAchievementEvent('spawn', { source });
+    }
 
-                // Check right neighbor
-                if (col < this.boardSize - 1) {
-                    const rightIndex = row * this.boardSize + (col + 1);
-                    if (this.board[rightIndex] === value) return false;
-                }
+    /**
+     * Capture everything needed to restore the current position
+     * @returns {{state: Object, rngState: number}} Snapshot of the position
+     */
+    createSnapshot() {
+        return { state: this.state, rngState: this.rng.getState() };
+    }
 
-                // Check bottom neighbor
-                if (row < this.boardSize - 1) {
-                    const bottomIndex = (row + 1) * this.boardSize + col;
-                    if (this.board[bottomIndex] === value) return false;
-                }
-            }
+    /**
+     * Restore a position captured by createSnapshot and redraw the board
+     * @param {Object} snapshot - Snapshot to restore
+     */
+    restoreSnapshot(snapshot) {
+        // Engine states are never mutated, so the stored reference can be reused as-is
+        this.state = snapshot.state;
+        this.rng.setState(snapshot.rngState);
+        this.selectedCell = null;
+
+        this.ui.clearHint();
+        this.ui.renderBoard(this.board);
+        this.ui.updateScore(this.score, this.highestDie);
+        this.updateModeBadge();
+        this.updateAddDieButton();
+        this.updateHistoryButtons();
+        this.saveProgress();
+    }
+
+    /**
+     * Take back the last move
+     */
+    undo() {
+        // Blitz is against the clock, taking moves back isn't allowed
+        if (this.gameOver || this.mode === 'blitz' || this.boardLocked) return;
+
+        const command = this.history.undo();
+        if (!command) return;
+
+        // A Classic Turn merge is replayed as the merge and its spawns, each stepped back
+        for (let i = 0; i < (command.steps || 1); i++) {
+            this.recorder.recordUndo();
         }
+        this.restoreSnapshot(command.before);
+        this.audio.playSound('select');
+    }
 
-        // No empty cells and no possible merges
-        return true;
+    /**
+     * Make the last undone move again
+     */
+    redo() {
+        if (this.gameOver || this.mode === 'blitz' || this.boardLocked) return;
+
+        const command = this.history.redo();
+        if (!command) return;
+
+        for (let i = 0; i < (command.steps || 1); i++) {
+            this.recorder.recordRedo();
+        }
+        this.restoreSnapshot(command.after);
+        this.audio.playSound(command.type === 'merge' ? 'merge' : 'place');
+    }
+
+    /**
+     * Set up the undo/redo buttons and the undo limit setting
+     */
+    setupHistoryControls() {
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+        const undoLimitSelect = document.getElementById('undo-limit-select');
+
+        if (undoBtn) undoBtn.addEventListener('click', () => this.undo());
+        if (redoBtn) redoBtn.addEventListener('click', () => this.redo());
+
+        if (undoLimitSelect) {
+            undoLimitSelect.value = String(this.history.undoLimit);
+            undoLimitSelect.addEventListener('change', () => {
+                this.history.undoLimit = Number(undoLimitSelect.value);
+                saveToLocalStorage('diceUndoLimit', this.history.undoLimit);
+                this.updateHistoryButtons();
+            });
+        }
+
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Update the undo/redo buttons state (enabled/disabled and undos left)
+     */
+    updateHistoryButtons() {
+        this.ui.updateHistoryButtons(
+            !this.gameOver && this.mode !== 'blitz' && this.history.canUndo(),
+            !this.gameOver && this.mode !== 'blitz' && this.history.canRedo(),
+            this.history.getUndosLeft()
+        );
+    }
+
+    /**
+     * Set up the hint button and the hints per game setting
+     */
+    setupHintControls() {
+        const hintBtn = document.getElementById('hint-btn');
+        const hintLimitSelect = document.getElementById('hint-limit-select');
+
+        if (hintBtn) hintBtn.addEventListener('click', () => this.showHint());
+
+        if (hintLimitSelect) {
+            hintLimitSelect.value = String(this.hintLimit);
+            hintLimitSelect.addEventListener('change', () => {
+                this.hintLimit = Number(hintLimitSelect.value);
+                saveToLocalStorage('diceHintLimit', this.hintLimit);
+                this.updateHintButton();
+            });
+        }
+
+        this.updateHintButton();
+    }
+
+    /**
+     * Get the number of hints left in this game
+     * @returns {number} Hints left, Infinity if unlimited
+     */
+    getHintsLeft() {
+        if (this.hintLimit < 0) return Infinity;
+        return Math.max(0, this.hintLimit - this.hintsUsed);
+    }
+
+    /**
+     * Update the hint button state (enabled/disabled and hints left)
+     */
+    updateHintButton() {
+        this.ui.updateHintButton(
+            !this.gameOver && !this.hintPending && this.getHintsLeft() > 0,
+            this.getHintsLeft()
+        );
+    }
+
+    /**
+     * Highlight the recommended merge of the current position
+     */
+    async showHint() {
+        if (this.gameOver || this.boardLocked || this.hintPending) return;
+
+        if (this.getHintsLeft() <= 0) {
+            this.ui.showMessage(this.localization.get('no_hints_left'));
+            setTimeout(() => this.ui.hideMessage(), 2000);
+            return;
+        }
+
+        const state = this.state;
+        this.hintPending = true;
+        this.updateHintButton();
+
+        // Hints only plan with the upcoming dice the player can see
+        const hint = await this.hints.request(state, { visibleUpcoming: this.getVisibleUpcomingCount() });
+
+        this.hintPending = false;
+
+        // The player moved while the hint was being evaluated
+        if (this.state !== state || this.gameOver) {
+            this.updateHintButton();
+            return;
+        }
+
+        if (!hint) {
+            this.ui.showMessage(this.localization.get('hint_add_dice'));
+            setTimeout(() => this.ui.hideMessage(), 2000);
+            this.updateHintButton();
+            return;
+        }
+
+        this.hintsUsed++;
+        this.updateHintButton();
+        this.saveProgress();
+
+        // Select the suggested die, so tapping the highlighted target completes the merge
+        if (this.selectedCell !== null) {
+            this.ui.deselectCell(this.selectedCell);
+        }
+        this.selectedCell = hint.from;
+        this.ui.showHint(hint.from, hint.to);
+    }
+
+    /**
+     * Check if the game is over
+     * @returns {boolean} True if game is over
+     */
+    isGameOver() {
+        // Puzzle levels also end when the goal is reached or the moves run out
+        if (this.level && (isLevelComplete(this.level, this.state) || getMovesLeft(this.level, this.state) === 0)) {
+            return true;
+        }
+        return isTerminal(this.state);
     }
 
     /**
@@ -657,45 +1664,304 @@ export class Game {
      */
     handleGameOver() {
         this.gameOver = true;
-        this.audio.playSound('gameover');
+        this.blitz.stop();
+        this.audio.playSound(this.level && isLevelComplete(this.level, this.state) ? 'upgrade' : 'gameover');
+
+        // A finished game can't be resumed
+        this.savedGames.clear();
+
+        // Record the result of today's scored daily attempt
+        if (this.mode === 'daily' && this.scored) {
+            this.daily.finishAttempt(this.score);
+        }
+        this.updateDailyStatus();
+
+        // One high-score record per game, compared with the best before it on the game over screen
+        this.lastRecord = this.saveScore();
 
         // Force an immediate update to the leaderboard with the final score
         if (this.scoreChanged) {
-            this.updateYandexLeaderboard();
+            this.updatePlatformLeaderboard();
+        }
+
+        // Keep the best result of a solved level (playtests of levels being edited don't count)
+        if (this.level && !this.playtest && isLevelComplete(this.level, this.state)) {
+            this.levelProgress.recordResult(this.level.id, getLevelStars(this.level, this.moveCount), this.moveCount);
+        }
+
+        if (this.countsTowardsProgress) {
+            this.statistics.recordGame({
+                score: this.score,
+                highestDie: this.highestDie,
+                moves: this.moveCount,
+                duration: this.getGameDuration()
+            });
         }
 
+        const won = !!this.level && isLevelComplete(this.level, this.state);
+        this.recordAchievementEvent('gameOver', {
+            score: this.score,
+            highestDie: this.highestDie,
+            won,
+            stars: won ? getLevelStars(this.level, this.moveCount) : 0,
+            diceAdded: this.diceAdded
+        });
+
         // Show game over screen with localized text
-        this.ui.showGameOver(
-            this.score,
-            this.highestDie
-        );
+        this.showGameOverScreen();
 
-        // Disable add die button
+        // Disable add die, history and hint buttons
         this.updateAddDieButton();
+        this.updateHistoryButtons();
+        this.updateHintButton();
+        this.updateGameplay();
+    }
+
+    /**
+     * Whether the game counts towards statistics and achievements
+     * Practice runs, loaded positions and level playtests don't.
+     * @returns {boolean} True for scored games and puzzle levels played from the level list
+     */
+    get countsTowardsProgress() {
+        return this.level ? !this.playtest : this.scored;
+    }
+
+    /**
+     * @returns {number} Milliseconds since the game started, including time before a reload
+     */
+    getGameDuration() {
+        return this.recorder.replay ? Date.now() - this.recorder.replay.startedAt : 0;
+    }
+
+    /**
+     * Pass a game event to the achievements and announce the ones it unlocks
+     * @param {string} event - Event name, see ACHIEVEMENTS
+     * @param {Object} data - Event fields besides the mode
+     */
+    recordAchievementEvent(event, data = {}) {
+        if (!this.countsTowardsProgress) return;
+
+        const unlocked = this.achievements.record(event, { mode: this.mode, ...data });
+        if (unlocked.length === 0) return;
+
+        const names = unlocked.map(definition => this.localization.get(`achievement_${definition.id}`));
+        this.ui.showMessage(this.localization.get('achievement_unlocked', { name: names.join(', ') }));
+        setTimeout(() => this.ui.hideMessage(), 2500);
+    }
+
+    /**
+     * Show the game over screen, or the result screen of a puzzle level
+     */
+    showGameOverScreen() {
+        if (this.level) {
+            this.showLevelResult();
+        } else {
+            this.ui.showGameOver(this.score, this.highestDie, this.seed, this.getPersonalBestText());
+        }
+    }
+
+    /**
+     * Describe how the finished game compares with the player's previous best
+     * @returns {string} Localized text, empty for games without a high-score record
+     */
+    getPersonalBestText() {
+        const record = this.lastRecord;
+        if (!record) return '';
+
+        if (record.previousBest === null) {
+            return this.localization.get('personal_best_first');
+        }
+
+        const diff = record.score - record.previousBest;
+        if (diff > 0) {
+            return this.localization.get('personal_best_new', { diff, previous: record.previousBest });
+        }
+        return this.localization.get('personal_best_behind', { best: record.previousBest, diff: -diff });
+    }
+
+    /**
+     * Load the puzzle level pack, once
+     * @returns {Promise<Object[]>} Levels of the pack
+     * @throws {Error} If the pack can't be loaded
+     */
+    async loadLevels() {
+        if (!this.levels) {
+            this.levels = await loadLevelPack();
+        }
+        return this.levels;
+    }
+
+    /**
+     * Open the puzzle level list
+     */
+    async showLevelSelect() {
+        try {
+            this.levelSelect.open(await this.loadLevels());
+        } catch (error) {
+            console.error('Error loading levels:', error);
+            this.ui.showMessage(this.localization.get('levels_unavailable'));
+            setTimeout(() => this.ui.hideMessage(), 2000);
+        }
+    }
+
+    /**
+     * Play a level of the puzzle pack
+     * @param {number} index - Position of the level in the pack
+     */
+    startLevel(index) {
+        this.startNewGame({ mode: 'puzzle', level: this.levels[index] });
+    }
+
+    /**
+     * Try out a level from the editor
+     * @param {Object} level - Complete level, see validateLevel
+     */
+    playtestLevel(level) {
+        this.actuallyStartNewGame({ mode: 'puzzle', level, playtest: true });
+    }
+
+    /**
+     * Describe the goal of the current puzzle level
+     * @returns {string} Localized goal
+     */
+    getLevelGoalText() {
+        return this.localization.get(`goal_${this.level.goal.type}`, { value: this.level.goal.value });
+    }
+
+    /**
+     * Show how the current puzzle level went, with the way on to the next one
+     */
+    async showLevelResult() {
+        const level = this.level;
+        const playtest = this.playtest;
+        const completed = isLevelComplete(level, this.state);
+
+        // A resumed level may end before the pack was needed
+        let levels = [];
+        try {
+            levels = await this.loadLevels();
+        } catch (error) {
+            console.warn('Error loading levels:', error);
+        }
+        const index = levels.findIndex(entry => entry.id === level.id);
+        const next = completed && !playtest && index !== -1 ? levels[index + 1] : null;
+
+        this.ui.showLevelResult({
+            title: this.localization.get(completed ? 'level_complete' : 'level_failed'),
+            stars: completed ? formatStars(getLevelStars(level, this.moveCount)) : '',
+            summary: completed
+                ? this.localization.get('level_result', { moves: this.moveCount })
+                : this.localization.get('level_failed_summary', { goal: this.getLevelGoalText() }),
+            onRetry: () => this.startNewGame({ mode: 'puzzle', level, playtest }),
+            onNext: next ? () => this.startNewGame({ mode: 'puzzle', level: next }) : null,
+            onLevels: () => this.showLevelSelect(),
+            onEdit: playtest ? () => this.levelEditor.open() : null
+        });
     }
     checkPendingUpdates() {
         // If there are pending score changes, force an update
         if (this.scoreChanged) {
-            this.updateYandexLeaderboard();
+            this.updatePlatformLeaderboard();
         }
+
+        // Send the latest saved game to the cloud before the page goes away
+        this.savedGames.flush();
     }
 
     /**
-     * Save score to high scores
+     * Save the high-score record of the game, once, when it ends or is abandoned
+     * @returns {{score: number, previousBest: number|null}|null} The game's score and the best score
+     *          of its category before it, or null if nothing was saved (practice runs, no score, already saved)
      */
     saveScore() {
-        // Only save if game is active or just ended
-        if (this.score <= 0) return;
+        if (this.scoreRecorded || this.score <= 0 || !this.scored) return null;
+        this.scoreRecorded = true;
 
-        // Mark that the score has changed
-        this.scoreChanged = true;
+        return this.addHighScore(this.createScoreEntry());
+    }
+
+    /**
+     * Write the high-score record of a Blitz game in progress when the page is hidden
+     * Blitz games aren't saved, so a tab closed from here would leave the game without a record.
+     * If the player comes back instead, releaseHiddenBlitzScore takes the record back and the game
+     * goes on to be recorded when it ends.
+     */
+    recordHiddenBlitzScore() {
+        if (this.mode !== 'blitz' || this.gameOver || this.scoreRecorded || this.score <= 0 || !this.scored) return;
+
+        this.highScoresBeforeHidden = [...this.highScores];
+        this.scoreRecorded = true;
+        this.addHighScore(this.createScoreEntry());
+    }
+
+    /**
+     * Take back the record written by recordHiddenBlitzScore once the page is shown again
+     */
+    releaseHiddenBlitzScore() {
+        if (!this.highScoresBeforeHidden) return;
+
+        // Restoring the list also brings back a record the hidden one pushed out of its category
+        this.highScores = this.highScoresBeforeHidden;
+        saveToLocalStorage('diceHighScores', this.highScores);
+        this.highScoresBeforeHidden = null;
+        this.scoreRecorded = false;
+    }
 
-        // Create score entry for local storage
-        const scoreEntry = {
+    /**
+     * @returns {Object} High-score record of the current game as it stands
+     */
+    createScoreEntry() {
+        return {
             score: this.score,
             highestDie: this.highestDie,
+            mode: this.mode,
+            boardSize: this.boardSize,
+            mergeRule: this.mergeRule,
+            spawnPreset: this.spawnPreset,
+            autoSpawn: this.autoSpawn,
+            seed: this.seed,
+            duration: this.getGameDuration(),
+            moveCount: this.moveCount,
             date: new Date().toISOString()
         };
+    }
+
+    /**
+     * Save the high-score record of a saved game the player chose not to continue
+     * It never became the current game, so saveScore can't see it.
+     * @param {Object} savedGame - Game data returned by SavedGameStore#load
+     */
+    saveDeclinedScore({ state, mode, scored, replay, savedAt }) {
+        if (!scored || state.score <= 0) return;
+
+        // Time played up to the last action, leaving out the time the game sat saved
+        const actions = replay ? replay.actions : [];
+        const duration = actions.length > 0 ? actions[actions.length - 1].t : 0;
+
+        this.addHighScore({
+            score: state.score,
+            highestDie: state.highestDie,
+            mode,
+            boardSize: state.boardSize,
+            mergeRule: state.rules.mergeRule,
+            spawnPreset: state.rules.spawnPreset,
+            autoSpawn: state.rules.autoSpawn || 0,
+            seed: state.seed,
+            duration,
+            moveCount: state.moveCount,
+            date: new Date(savedAt || Date.now()).toISOString()
+        });
+    }
+
+    /**
+     * Add a record to the high scores, keeping the best records of each score category
+     * @param {Object} scoreEntry - Record to add; its game options pick the category
+     * @returns {{score: number, previousBest: number|null}} The record's score and the best score of its category before it
+     */
+    addHighScore(scoreEntry) {
+        // The list is kept sorted, so the best of the category comes first
+        const categoryScores = this.getHighScores(getScoreCategory(scoreEntry));
+        const previousBest = categoryScores.length > 0 ? categoryScores[0].score : null;
 
         // Add to high scores
         this.highScores.push(scoreEntry);
@@ -703,39 +1969,55 @@ export class Game {
         // Sort by score (descending)
         this.highScores.sort((a, b) => b.score - a.score);
 
-        // Keep only top 10
-        if (this.highScores.length > 10) {
-            this.highScores = this.highScores.slice(0, 10);
-        }
+        // Keep only the best records of each score category
+        const kept = {};
+        this.highScores = this.highScores.filter(entry => {
+            const category = getScoreCategory(entry);
+            kept[category] = (kept[category] || 0) + 1;
+            return kept[category] <= HIGH_SCORES_PER_CATEGORY;
+        });
 
         // Save to local storage
         saveToLocalStorage('diceHighScores', this.highScores);
 
-        // Check if it's time to update the leaderboard
+        return { score: scoreEntry.score, previousBest };
+    }
+
+    /**
+     * Note a score change for the platform leaderboard; it's sent at most once per
+     * leaderboardUpdateInterval, and right away when the game ends
+     */
+    queueLeaderboardUpdate() {
+        if (this.score <= 0 || !this.scored) return;
+        this.scoreChanged = true;
+
         const now = Date.now();
         if (now - this.lastLeaderboardUpdate >= this.leaderboardUpdateInterval) {
-            this.updateYandexLeaderboard();
+            this.updatePlatformLeaderboard();
             this.lastLeaderboardUpdate = now;
         }
     }
     /**
-     * Update Yandex leaderboard with the current score,
+     * Update the platform leaderboard with the current score,
      * but only if it's higher than the existing score
      */
-    updateYandexLeaderboard() {
+    updatePlatformLeaderboard() {
         // Only update if score has changed since last update
         if (!this.scoreChanged || this.score <= 0) return;
 
         // Reset the flag
         this.scoreChanged = false;
 
-        // If Yandex SDK is available, check and save score
-        if (this.yandexSDK && this.yandexSDK.initialized) {
+        // If the platform has leaderboards, check and save score
+        if (this.platform.hasLeaderboard()) {
             console.log('Checking if score qualifies for leaderboard update:', this.score);
 
             // First, try to get the player's current leaderboard score
-            this.yandexSDK.getPlayerLeaderboardScore()
-                .then(currentScore => {
+            this.platform.getPlayerLeaderboardEntry(this.getLeaderboardName())
+                .then(entry => {
+                    // An entry from an earlier daily challenge is replaced by today's score, whatever it was
+                    const currentScore = entry && entry.extraData === this.getLeaderboardExtraData() ? entry.score : null;
+
                     // If we have a current score, only update if new score is higher
                     if (currentScore !== null) {
                         if (this.score > currentScore) {
@@ -753,8 +2035,8 @@ export class Game {
                 })
                 .catch(error => {
                     console.warn('Error checking player score:', error);
-                    // On error checking score, we'll still try to save the score
-                    // The Yandex SDK should prevent lower scores from overwriting higher ones
+                    // On error checking score, we'll still try to save the score,
+                    // even though it may replace a higher one
                     this.saveScoreToLeaderboard();
                 });
         }
@@ -764,7 +2046,7 @@ export class Game {
      * and show appropriate UI feedback
      */
     saveScoreToLeaderboard() {
-        this.yandexSDK.saveScore(this.score)
+        this.platform.saveScore(this.score, this.getLeaderboardName(), this.getLeaderboardExtraData())
             .then(success => {
                 if (success) {
                     console.log('Score saved to leaderboard!');
@@ -779,91 +2061,37 @@ export class Game {
             .catch(err => console.warn('Failed to save score:', err));
     }
     /**
-     * Get high scores
-     * @returns {Array} Array of high score objects
+     * Get the platform leaderboard for the current mode, board size and rules
+     * @returns {string} Leaderboard name
      */
-    getHighScores() {
-        return this.highScores;
+    getLeaderboardName() {
+        return this.platform.getLeaderboardName(this.mode, this.boardSize, this.spawnPreset, this.autoSpawn, this.mergeRule);
     }
-    updateLeaderboardUI() {
-        const leaderboardBody = document.getElementById('leaderboard-tbody');
-        const noScoresMessage = document.getElementById('no-scores-message');
-        const leaderboardTitle = document.querySelector('.leaderboard-content h2');
-        const leaderboardDescription = document.querySelector('.leaderboard-description');
-        const closeButton = document.getElementById('close-leaderboard');
-
-        // Update static text elements
-        if (leaderboardTitle) {
-            leaderboardTitle.textContent = `${this.localization.get('game_title')} ${this.localization.get('leaderboard')}`;
-        }
-
-        if (leaderboardDescription) {
-            leaderboardDescription.textContent = this.localization.get('leaderboard_description', {
-                game: this.localization.get('game_title')
-            });
-        }
-
-        if (closeButton) {
-            closeButton.textContent = this.localization.get('close');
-        }
-
-        if (!leaderboardBody || !noScoresMessage) return;
-
-        // Clear existing entries
-        leaderboardBody.innerHTML = '';
-
-        // Show no scores message if there are no scores
-        if (this.highScores.length === 0) {
-            noScoresMessage.style.display = 'block';
-            noScoresMessage.textContent = this.localization.get('no_scores_message');
-            return;
-        } else {
-            noScoresMessage.style.display = 'none';
-        }
-
-        // Add each score to the table
-        this.highScores.forEach((entry, index) => {
-            const row = document.createElement('tr');
-
-            // Format the date
-            const date = new Date(entry.date);
-            const formattedDate = `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`;
 
-            // Add rank emoji for top 3
-            let rankDisplay = `${index + 1}`;
-            if (index === 0) rankDisplay = `🥇 ${index + 1}`;
-            else if (index === 1) rankDisplay = `🥈 ${index + 1}`;
-            else if (index === 2) rankDisplay = `🥉 ${index + 1}`;
-
-            row.innerHTML = `
-                <td>${rankDisplay}</td>
-                <td>${entry.score}</td>
-                <td>${entry.highestDie}</td>
-                <td>${formattedDate}</td>
-            `;
-
-            leaderboardBody.appendChild(row);
-        });
-
-        // Update the table headers
-        const tableHeaders = document.querySelectorAll('#leaderboard-table th');
-        if (tableHeaders.length >= 4) {
-            tableHeaders[0].textContent = this.localization.get('rank');
-            tableHeaders[1].textContent = this.localization.get('score');
-            tableHeaders[2].textContent = this.localization.get('highest_die');
-            // Keep date column as is
-        }
+    /**
+     * Text kept with the player's leaderboard entry
+     * The daily leaderboard is shared by every day, so its entries carry their challenge day
+     * and the leaderboard view only ranks today's.
+     * @returns {string} Challenge day (YYYY-MM-DD) of a daily game, empty otherwise
+     */
+    getLeaderboardExtraData() {
+        return this.mode === 'daily' && this.daily.attempt ? this.daily.attempt.date : '';
     }
 
+    /**
+     * Get high scores of one mode and board size
+     * @param {string} category - Score category, defaults to the current game's
+     * @returns {Array} Array of high score objects
+     */
+    getHighScores(category = getScoreCategory(this)) {
+        return this.highScores.filter(entry => getScoreCategory(entry) === category);
+    }
 
     /**
-      * Set up leaderboard tabs with localized text
-      */
+     * Set up the leaderboard modal and the share button
+     */
     setupLeaderboardTabs() {
         const shareScoreBtn = document.getElementById('share-score-btn');
-        const leaderboardModal = document.getElementById('leaderboard-modal');
-        const closeLeaderboardBtn = document.getElementById('close-leaderboard');
-        const leaderboardBtn = document.getElementById('leaderboard-btn');
 
         // Set up share button
         if (shareScoreBtn) {
@@ -871,46 +2099,7 @@ export class Game {
             shareScoreBtn.addEventListener('click', () => this.shareScore());
         }
 
-        // Close button
-        if (closeLeaderboardBtn) {
-            closeLeaderboardBtn.textContent = this.localization.get('close');
-            closeLeaderboardBtn.addEventListener('click', () => {
-                leaderboardModal.style.display = 'none';
-            });
-        }
-
-        // When leaderboard is opened, immediately try to load global scores
-        if (leaderboardBtn) {
-            leaderboardBtn.addEventListener('click', () => {
-                const globalLeaderboard = document.getElementById('global-leaderboard');
-                leaderboardModal.style.display = 'flex';
-
-                // Show loading message
-                globalLeaderboard.innerHTML = `<div class="loading-leaderboard">${this.localization.get('loading_leaderboard')}</div>`;
-
-                // Try to fetch and display the Yandex leaderboard
-                if (this.yandexSDK && this.yandexSDK.initialized) {
-                    this.yandexSDK.showLeaderboard(this.localization).catch(error => {
-                        console.warn('Failed to display Yandex leaderboard:', error);
-
-                        // Show error message
-                        globalLeaderboard.innerHTML = `
-                        <div class="error-message">
-                            <p>${this.localization.get('error_loading')}</p>
-                            <p>Error: ${error.message || 'Unknown error'}</p>
-                        </div>
-                    `;
-                    });
-                } else {
-                    globalLeaderboard.innerHTML = `
-                    <div class="global-leaderboard-message">
-                        ${this.localization.get('leaderboard_unavailable')}
-                        <p>${this.localization.get('dev_mode')}</p>
-                    </div>
-                `;
-                }
-            });
-        }
+        this.leaderboardView.setupControls();
     }
 
     /**
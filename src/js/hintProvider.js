@@ -0,0 +1,84 @@
+/**
+ * Runs hint evaluation in a Web Worker so the board stays responsive,
+ * falling back to the main thread where workers aren't available.
+ */
+import { findBestMerge } from './hints';
+
+export class HintProvider {
+    constructor() {
+        this.worker = null;
+        this.nextId = 0;
+        this.pending = new Map();
+
+        if (typeof Worker === 'undefined') return;
+
+        try {
+            this.worker = new Worker(new URL('./hintWorker.js', import.meta.url));
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (error) => {
+                console.warn('Hint worker failed, evaluating hints on the main thread:', error);
+                this.worker = null;
+                this.retryPending();
+            };
+        } catch (error) {
+            console.warn('Hint worker unavailable:', error);
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Find the recommended merge of a position
+     * @param {Object} state - Game state
+     * @param {Object} options - Evaluation options, see evaluateMerges
+     * @returns {Promise<{from: number, to: number, value: number}|null>} Best merge, or null if there is none
+     */
+    request(state, options = {}) {
+        return new Promise(resolve => {
+            const id = this.nextId++;
+            this.pending.set(id, { state, options, resolve });
+
+            if (this.worker) {
+                this.worker.postMessage({ id, state, options });
+            } else {
+                this.evaluateLocally(id);
+            }
+        });
+    }
+
+    /**
+     * @param {{id: number, hint: Object|null}} data - Worker answer
+     */
+    handleMessage({ id, hint }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        this.pending.delete(id);
+        request.resolve(hint);
+    }
+
+    /**
+     * Evaluate a request on the main thread, after letting the UI update
+     * @param {number} id - Request id
+     */
+    evaluateLocally(id) {
+        setTimeout(() => {
+            const request = this.pending.get(id);
+            if (!request) return;
+
+            let hint = null;
+            try {
+                hint = findBestMerge(request.state, request.options);
+            } catch (error) {
+                console.error('Error evaluating hint:', error);
+            }
+            this.handleMessage({ id, hint });
+        }, 0);
+    }
+
+    /**
+     * Evaluate requests the worker didn't answer on the main thread
+     */
+    retryPending() {
+        this.pending.forEach((request, id) => this.evaluateLocally(id));
+    }
+}
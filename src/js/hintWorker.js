@@ -0,0 +1,18 @@
+/**
+ * Web Worker that evaluates hints off the main thread
+ * Receives { id, state, options } and answers { id, hint }.
+ */
+import { findBestMerge } from './hints';
+
+self.onmessage = (event) => {
+    const { id, state, options } = event.data;
+
+    let hint = null;
+    try {
+        hint = findBestMerge(state, options);
+    } catch (error) {
+        console.error('Error evaluating hint:', error);
+    }
+
+    self.postMessage({ id, hint });
+};
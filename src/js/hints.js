@@ -0,0 +1,132 @@
+/**
+ * Hint evaluation
+ * Scores every legal merge with Monte Carlo rollouts over future spawns.
+ * Pure functions over engine state, so it runs in the hint Web Worker and in Node.
+ */
+import { getLegalMerges, applyMerge, spawn, playForcedSpawns, getEmptyCells, isTerminal, rollSpawnValue } from './engine.js';
+import { getPieceType } from './pieces.js';
+import { PREVIEW_LIMITS, DEFAULT_SPAWN_PRESET } from './spawnTables.js';
+import { SeededRandom } from './random.js';
+
+export const DEFAULT_HINT_OPTIONS = {
+    rollouts: 32,          // Simulated games per candidate merge
+    rolloutBudget: 256,    // Simulated games in total, big boards get fewer per candidate
+    depth: 16,             // Moves simulated in each game
+    emptyCellWeight: 2,    // Points an empty cell is worth at the end of a rollout
+    gameOverPenalty: 50,   // Points lost by a rollout that ends the game
+    visibleUpcoming: null  // Upcoming dice the player can see; null for as many as the difficulty previews
+};
+
+/**
+ * Re-roll the upcoming dice the player can't see, so rollouts don't play on hidden information
+ * @param {Object} state - Game state
+ * @param {number} visible - Upcoming dice the player can see
+ * @param {Function} random - Random source returning a float in [0, 1)
+ * @returns {Object} State whose upcoming dice past the visible ones are rolled afresh
+ */
+function hideUpcoming(state, visible, random) {
+    if (!state.upcoming || state.upcoming.length <= visible) return state;
+
+    const upcoming = state.upcoming.slice(0, visible);
+    while (upcoming.length < state.upcoming.length) {
+        upcoming.push(rollSpawnValue(state, random));
+    }
+    return { ...state, upcoming };
+}
+
+/**
+ * Play random moves from a position and rate where they lead
+ * A merge is made whenever one is available, otherwise a die is spawned.
+ * @param {Object} state - Position to play from
+ * @param {Function} random - Random source returning a float in [0, 1)
+ * @param {Object} options - See DEFAULT_HINT_OPTIONS
+ * @returns {number} Points gained plus the value of the final position
+ */
+export function rollout(state, random, { depth, emptyCellWeight, gameOverPenalty } = DEFAULT_HINT_OPTIONS) {
+    let current = state;
+
+    for (let step = 0; step < depth; step++) {
+        const merges = getLegalMerges(current);
+        if (merges.length > 0) {
+            const { from, to } = merges[Math.floor(random() * merges.length)];
+            current = playForcedSpawns(applyMerge(current, from, to).state, random).state;
+            continue;
+        }
+
+        const result = spawn(current, random);
+        if (!result) break;
+        current = result.state;
+    }
+
+    const gained = current.score - state.score;
+    if (isTerminal(current)) {
+        return gained - gameOverPenalty;
+    }
+    return gained + getEmptyCells(current).length * emptyCellWeight;
+}
+
+/**
+ * List the merges worth evaluating
+ * When plain dice can merge anywhere their position doesn't matter, so one merge per die value is enough.
+ * Special pieces make positions matter (bombs and stones affect their neighbours).
+ * @param {Object} state - Game state
+ * @returns {Array<{from: number, to: number}>} Candidate merges
+ */
+function getCandidateMerges(state) {
+    const merges = getLegalMerges(state);
+    if (state.rules.mergeRule !== 'anywhere') return merges;
+    if (state.board.some(cell => cell !== null && getPieceType(cell) !== 'die')) return merges;
+
+    const seenValues = new Set();
+    return merges.filter(({ to }) => {
+        if (seenValues.has(state.board[to])) return false;
+        seenValues.add(state.board[to]);
+        return true;
+    });
+}
+
+/**
+ * Rate the legal merges of a position
+ * Every candidate is played out with the same random sequence, so they are
+ * compared on the same future spawns.
+ * @param {Object} state - Game state
+ * @param {Object} options - See DEFAULT_HINT_OPTIONS, plus an optional rollout seed
+ * @returns {Array<{from: number, to: number, value: number}>} Merges, best first
+ */
+export function evaluateMerges(state, options = {}) {
+    const settings = { ...DEFAULT_HINT_OPTIONS, ...options };
+    const seed = settings.seed !== undefined ? settings.seed : `${state.seed}-${state.moveCount}`;
+
+    const candidates = getCandidateMerges(state);
+    const rollouts = Math.max(1, Math.min(settings.rollouts, Math.floor(settings.rolloutBudget / candidates.length)));
+    const visible = settings.visibleUpcoming !== null
+        ? settings.visibleUpcoming
+        : PREVIEW_LIMITS[state.rules.spawnPreset || DEFAULT_SPAWN_PRESET];
+
+    return candidates
+        .map(({ from, to }) => {
+            const result = applyMerge(state, from, to);
+            const random = new SeededRandom(seed).next;
+
+            // Under Classic Turn each rollout starts with the spawns the merge forces. Each one
+            // imagines its own hidden upcoming dice, the player only knows the previewed ones.
+            let total = 0;
+            for (let i = 0; i < rollouts; i++) {
+                const start = hideUpcoming(result.state, visible, random);
+                total += rollout(playForcedSpawns(start, random).state, random, settings);
+            }
+
+            return { from, to, value: result.points + total / rollouts };
+        })
+        .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Find the recommended merge of a position
+ * @param {Object} state - Game state
+ * @param {Object} options - See evaluateMerges
+ * @returns {{from: number, to: number, value: number}|null} Best merge, or null if there is none
+ */
+export function findBestMerge(state, options = {}) {
+    return evaluateMerges(state, options)[0] || null;
+}
@@ -0,0 +1,82 @@
+/**
+ * Undo/redo history of game moves
+ * Each recorded command holds snapshots of the position before and after the move,
+ * so undoing and redoing are a matter of restoring one of them.
+ */
+export class MoveHistory {
+    /**
+     * @param {number} undoLimit - Undos allowed per game; a negative value means unlimited
+     */
+    constructor(undoLimit = 3) {
+        this.undoLimit = undoLimit;
+        this.clear();
+    }
+
+    /**
+     * Forget all moves and reset the undo allowance (call when a new game starts)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.undosUsed = 0;
+    }
+
+    /**
+     * Record a move that has just been made
+     * @param {Object} command - Move with `type`, `before` and `after` snapshots
+     */
+    record(command) {
+        this.undoStack.push(command);
+
+        // A new move starts a new branch, so the undone moves can't be redone any more
+        this.redoStack = [];
+    }
+
+    /**
+     * Get the number of undos still allowed this game
+     * @returns {number} Remaining undos (Infinity when unlimited)
+     */
+    getUndosLeft() {
+        if (this.undoLimit < 0) return Infinity;
+        return Math.max(0, this.undoLimit - this.undosUsed);
+    }
+
+    /**
+     * @returns {boolean} True if a move can be undone
+     */
+    canUndo() {
+        return this.undoStack.length > 0 && this.getUndosLeft() > 0;
+    }
+
+    /**
+     * @returns {boolean} True if an undone move can be redone
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Take back the last move
+     * @returns {Object|null} The undone command, whose `before` snapshot should be restored
+     */
+    undo() {
+        if (!this.canUndo()) return null;
+
+        const command = this.undoStack.pop();
+        this.redoStack.push(command);
+        this.undosUsed++;
+        return command;
+    }
+
+    /**
+     * Make the last undone move again
+     * @returns {Object|null} The redone command, whose `after` snapshot should be restored
+     */
+    redo() {
+        if (!this.canRedo()) return null;
+
+        const command = this.redoStack.pop();
+        this.undoStack.push(command);
+        return command;
+    }
+}
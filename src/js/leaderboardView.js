@@ -0,0 +1,287 @@
+/**
+ * Leaderboard modal
+ * Three tabs over the score category of the current game: the player's own records, the global
+ * top and the global entries around the player's rank. Rows are shown a page at a time, and the
+ * player's own row is highlighted in every tab.
+ * Text from other players (names) is only ever set through textContent, never parsed as HTML.
+ * The daily leaderboard is shared by every day, so only entries carrying today's challenge day are
+ * shown. The Global tab ranks them among themselves; Around Me can only show the overall ranks,
+ * which also count older days' entries above the player.
+ */
+import { getDailyKey } from './daily';
+
+export const LEADERBOARD_TABS = ['local', 'global', 'around'];
+
+const PAGE_SIZE = 10;
+const GLOBAL_TOP = 20; // Most entries the SDK returns from the top
+const AROUND = 10; // Most entries the SDK returns on each side of the player
+
+/** Column localization keys per tab */
+const COLUMNS = {
+    local: ['rank', 'score', 'highest_die', 'date'],
+    global: ['rank', 'player', 'score'],
+    around: ['rank', 'player', 'score']
+};
+
+/** Style of the messages shown instead of rows, other than the plain no-scores one */
+const MESSAGE_CLASSES = {
+    loading_leaderboard: 'loading-leaderboard',
+    error_loading: 'error-message'
+};
+
+/**
+ * Create the player cell content of a global entry
+ * @param {Object} player - Player shown
+ * @param {string} player.name - Public name, as the player set it
+ * @param {string|null} player.avatar - Avatar URL
+ * @returns {HTMLElement} Avatar and name
+ */
+function createPlayerLabel({ name, avatar }) {
+    const label = document.createElement('span');
+    label.className = 'leaderboard-player';
+
+    // Only images served over HTTPS, whatever the SDK hands back
+    if (avatar && /^https:\/\//.test(avatar)) {
+        const image = document.createElement('img');
+        image.className = 'leaderboard-avatar';
+        image.src = avatar;
+        image.alt = '';
+        image.loading = 'lazy';
+        label.appendChild(image);
+    }
+
+    const text = document.createElement('span');
+    text.textContent = name;
+    label.appendChild(text);
+    return label;
+}
+
+/**
+ * @param {number} rank - Place on the leaderboard, from 1
+ * @returns {string} Rank with a medal for the top three
+ */
+function formatRank(rank) {
+    const medals = ['🥇', '🥈', '🥉'];
+    return rank <= medals.length ? `${medals[rank - 1]} ${rank}` : String(rank);
+}
+
+export class LeaderboardView {
+    /**
+     * @param {Game} game - Game whose scores are shown
+     */
+    constructor(game) {
+        this.game = game;
+
+        // DOM elements
+        this.modal = document.getElementById('leaderboard-modal');
+        this.body = document.getElementById('global-leaderboard');
+        this.description = document.getElementById('leaderboard-description');
+        this.pageLabel = document.getElementById('leaderboard-page');
+        this.prevBtn = document.getElementById('leaderboard-prev-btn');
+        this.nextBtn = document.getElementById('leaderboard-next-btn');
+        this.tabButtons = document.querySelectorAll('.leaderboard-tab');
+
+        this.tab = 'local';
+        this.page = 0;
+
+        // Rows of the open tab ({cells: Array<string|number|Object>, own: boolean}; an object cell is a
+        // player, see createPlayerLabel), or a message key while there are none
+        this.rows = [];
+        this.message = null;
+
+        // Guards against a slow response landing on a tab opened after it
+        this.requestId = 0;
+    }
+
+    /**
+     * Set up the tab, page, open and close buttons
+     */
+    setupControls() {
+        document.getElementById('leaderboard-btn').addEventListener('click', () => this.open());
+        document.getElementById('close-leaderboard').addEventListener('click', () => this.close());
+
+        this.tabButtons.forEach(button => {
+            button.addEventListener('click', () => this.select(button.dataset.tab));
+        });
+        this.prevBtn.addEventListener('click', () => this.showPage(this.page - 1));
+        this.nextBtn.addEventListener('click', () => this.showPage(this.page + 1));
+
+        // Close when clicking outside the leaderboard
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) this.close();
+        });
+    }
+
+    open() {
+        this.modal.style.display = 'flex';
+        this.select(this.tab);
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    /**
+     * @returns {boolean} True while the modal is shown
+     */
+    isOpen() {
+        return this.modal.style.display === 'flex';
+    }
+
+    /**
+     * Switch to a tab and load its rows
+     * @param {string} tab - One of LEADERBOARD_TABS
+     */
+    async select(tab) {
+        const { localization } = this.game;
+        this.description.textContent = localization.get('leaderboard_description', { game: localization.get('game_title') });
+
+        this.tab = LEADERBOARD_TABS.includes(tab) ? tab : 'local';
+        this.tabButtons.forEach(button => button.classList.toggle('active', button.dataset.tab === this.tab));
+
+        const requestId = ++this.requestId;
+        this.rows = [];
+        this.message = 'loading_leaderboard';
+        this.showPage(0);
+
+        let result;
+        try {
+            result = this.tab === 'local' ? this.getLocalRows() : await this.getGlobalRows(this.tab);
+        } catch (error) {
+            console.warn('Failed to load leaderboard:', error);
+            result = { rows: [], message: 'error_loading' };
+        }
+        if (requestId !== this.requestId) return;
+
+        this.rows = result.rows;
+        this.message = result.rows.length > 0 ? null : result.message;
+
+        // Around Me opens on the page with the player's own row
+        const ownIndex = this.rows.findIndex(row => row.own);
+        this.showPage(this.tab === 'around' && ownIndex >= 0 ? Math.floor(ownIndex / PAGE_SIZE) : 0);
+    }
+
+    /**
+     * Records of the player's own finished games in the current category
+     * @returns {{rows: Object[], message: string}} Rows, best first; the latest game is highlighted
+     */
+    getLocalRows() {
+        const highScores = this.game.getHighScores();
+        const latest = highScores.reduce((newest, entry) => (!newest || entry.date > newest.date ? entry : newest), null);
+
+        return {
+            rows: highScores.map((entry, index) => ({
+                cells: [formatRank(index + 1), entry.score, entry.highestDie, new Date(entry.date).toLocaleDateString()],
+                own: entry === latest
+            })),
+            message: 'no_scores_message'
+        };
+    }
+
+    /**
+     * Global entries of the current category
+     * @param {string} tab - 'global' for the top, 'around' for the entries around the player
+     * @returns {Promise<{rows: Object[], message: string}>} Rows in rank order
+     */
+    async getGlobalRows(tab) {
+        const { platform, localization } = this.game;
+        if (!platform.hasLeaderboard()) {
+            return { rows: [], message: 'leaderboard_unavailable' };
+        }
+        if (tab === 'around' && !platform.isPlayerAuthorized()) {
+            return { rows: [], message: 'leaderboard_sign_in' };
+        }
+
+        const { entries, userRank } = await platform.getLeaderboardEntries(this.game.getLeaderboardName(),
+            tab === 'around'
+                ? { quantityTop: 1, quantityAround: AROUND, includeUser: true }
+                : { quantityTop: GLOBAL_TOP, includeUser: false });
+
+        // Daily entries from earlier challenges are left out
+        const day = this.game.mode === 'daily' ? getDailyKey() : null;
+        const current = day ? entries.filter(entry => entry.extraData === day) : entries;
+        const playerId = platform.getPlayerId();
+
+        // The SDK always sends at least one entry from the top; Around Me only keeps the player's neighbours
+        if (tab === 'around' && (userRank === 0 || (day && !current.some(entry => entry.player.uniqueID === playerId)))) {
+            return { rows: [], message: 'not_ranked' };
+        }
+        const shown = tab === 'around' ? current.filter(entry => Math.abs(entry.rank - userRank) <= AROUND) : current;
+
+        return {
+            rows: shown.map((entry, index) => {
+                const own = !!playerId && entry.player.uniqueID === playerId;
+                const name = entry.player.publicName || localization.get('anonymous_player');
+                const player = {
+                    name: own ? `${name} (${localization.get('you')})` : name,
+                    avatar: platform.getAvatarUrl(entry.player)
+                };
+                const rank = day && tab === 'global' ? index + 1 : entry.rank;
+                return { cells: [formatRank(rank), player, entry.score], own };
+            }),
+            message: 'no_scores_message'
+        };
+    }
+
+    /**
+     * Draw one page of the open tab
+     * @param {number} page - Page index, clamped to the pages there are
+     */
+    showPage(page) {
+        const { localization } = this.game;
+        const pages = Math.max(1, Math.ceil(this.rows.length / PAGE_SIZE));
+        this.page = Math.min(Math.max(0, page), pages - 1);
+
+        this.prevBtn.disabled = this.page === 0;
+        this.nextBtn.disabled = this.page >= pages - 1;
+        this.prevBtn.setAttribute('aria-label', localization.get('previous_page'));
+        this.nextBtn.setAttribute('aria-label', localization.get('next_page'));
+        this.pageLabel.textContent = localization.get('page_of', { page: this.page + 1, pages });
+        this.pageLabel.parentElement.style.display = pages > 1 ? '' : 'none';
+
+        this.body.innerHTML = '';
+        if (this.message) {
+            const message = document.createElement('div');
+            message.className = MESSAGE_CLASSES[this.message] || 'no-scores-message';
+            message.textContent = localization.get(this.message);
+            this.body.appendChild(message);
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'leaderboard-table';
+        table.classList.toggle('first-page', this.page === 0);
+
+        const headRow = table.createTHead().insertRow();
+        COLUMNS[this.tab].forEach(key => {
+            const th = document.createElement('th');
+            th.textContent = localization.get(key);
+            headRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        this.rows.slice(this.page * PAGE_SIZE, (this.page + 1) * PAGE_SIZE).forEach(row => {
+            const tr = tbody.insertRow();
+            if (row.own) tr.classList.add('current-player');
+            row.cells.forEach(value => {
+                const cell = tr.insertCell();
+                if (value && typeof value === 'object') {
+                    cell.appendChild(createPlayerLabel(value));
+                } else {
+                    cell.textContent = value;
+                }
+            });
+        });
+
+        this.body.appendChild(table);
+    }
+
+    /**
+     * Redraw after a language change
+     */
+    refresh() {
+        if (this.isOpen()) {
+            this.select(this.tab);
+        }
+    }
+}
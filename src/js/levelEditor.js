@@ -0,0 +1,420 @@
+/**
+ * Puzzle level editor
+ * Paints a level on the main board and edits the rest of its fields in a side panel.
+ * The draft is kept in the level JSON format (see levels.js) and saved to localStorage,
+ * so levels can be playtested, exported and imported without touching the code.
+ */
+import { saveToLocalStorage, loadFromLocalStorage, copyToClipboard, downloadTextFile } from './utils';
+import { MERGE_RULES, DEFAULT_MERGE_RULE } from './rules';
+import { WILDCARD, BOMB, STONE, createPiece, getPieceType } from './pieces';
+import { LEVEL_FORMAT_VERSION, LEVEL_BOARD_SIZES, LEVEL_GOALS, MAX_LEVEL_DIE, LevelError, validateLevel } from './levels';
+
+const STORAGE_KEY = 'diceLevelDraft';
+
+/** Dice values with their own palette button; others are picked with the value field */
+const PALETTE_DICE = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+/**
+ * Create an empty level draft
+ * @param {number} boardSize - Width and height of the board
+ * @returns {Object} Level in the JSON format
+ */
+function createDraft(boardSize = 5) {
+    return {
+        id: 'new-level',
+        name: 'New Level',
+        mergeRule: DEFAULT_MERGE_RULE,
+        board: Array.from({ length: boardSize }, () => Array(boardSize).fill(null)),
+        spawnQueue: [],
+        moveLimit: 10,
+        goal: { type: 'die', value: 5 },
+        stars: [8, 9]
+    };
+}
+
+/**
+ * Short label of a piece for the spawn queue list
+ * @param {number|Object} piece - Die value or special piece
+ * @returns {string} Label
+ */
+function getPieceLabel(piece) {
+    switch (getPieceType(piece)) {
+        case WILDCARD:
+            return '★';
+        case STONE:
+            return '🪨';
+        case BOMB:
+            return `💣${piece.value}`;
+        default:
+            return String(piece);
+    }
+}
+
+export class LevelEditor {
+    /**
+     * @param {Game} game - Game whose board and UI the editor paints on
+     */
+    constructor(game) {
+        this.game = game;
+        this.ui = game.ui;
+
+        this.active = false;
+        this.draft = loadFromLocalStorage(STORAGE_KEY, null) || createDraft();
+        this.brush = 1; // Piece painted on click, null erases
+        this.bombBrush = false; // Paint dice as bombs
+
+        // DOM elements
+        this.panel = document.getElementById('level-editor');
+        this.gameControls = document.querySelector('.game-controls');
+        this.palette = document.getElementById('editor-palette');
+        this.queueList = document.getElementById('editor-queue');
+        this.jsonInput = document.getElementById('editor-json');
+        this.fields = {
+            id: document.getElementById('editor-id'),
+            name: document.getElementById('editor-name'),
+            boardSize: document.getElementById('editor-size-select'),
+            mergeRule: document.getElementById('editor-merge-rule-select'),
+            moveLimit: document.getElementById('editor-move-limit'),
+            goalType: document.getElementById('editor-goal-type'),
+            goalValue: document.getElementById('editor-goal-value'),
+            threeStars: document.getElementById('editor-three-stars'),
+            twoStars: document.getElementById('editor-two-stars'),
+            dieValue: document.getElementById('editor-die-value'),
+            bomb: document.getElementById('editor-bomb-toggle')
+        };
+    }
+
+    /**
+     * Set up the palette, the level fields and the action buttons
+     */
+    setupControls() {
+        const { localization } = this.game;
+
+        // Palette: eraser, common dice and the special pieces
+        const brushes = [null, ...PALETTE_DICE, createPiece(WILDCARD), createPiece(STONE)];
+        brushes.forEach(piece => {
+            const button = document.createElement('button');
+            button.className = 'editor-brush';
+            button.textContent = piece === null ? '✕' : getPieceLabel(piece);
+            button.addEventListener('click', () => this.setBrush(piece));
+            this.palette.appendChild(button);
+        });
+
+        for (let size = LEVEL_BOARD_SIZES.min; size <= LEVEL_BOARD_SIZES.max; size++) {
+            const option = document.createElement('option');
+            option.value = size;
+            option.textContent = `${size}×${size}`;
+            this.fields.boardSize.appendChild(option);
+        }
+
+        MERGE_RULES.forEach(mergeRule => {
+            const option = document.createElement('option');
+            option.value = mergeRule;
+            option.dataset.locKey = `merge_${mergeRule}`;
+            option.textContent = localization.get(`merge_${mergeRule}`);
+            this.fields.mergeRule.appendChild(option);
+        });
+
+        LEVEL_GOALS.forEach(goal => {
+            const option = document.createElement('option');
+            option.value = goal;
+            option.dataset.locKey = `editor_goal_${goal}`;
+            option.textContent = localization.get(`editor_goal_${goal}`);
+            this.fields.goalType.appendChild(option);
+        });
+
+        this.fields.dieValue.max = MAX_LEVEL_DIE;
+        this.fields.dieValue.addEventListener('change', () => {
+            const value = Math.min(MAX_LEVEL_DIE, Math.max(1, Math.floor(Number(this.fields.dieValue.value)) || 1));
+            this.setBrush(value);
+        });
+        this.fields.bomb.addEventListener('change', () => {
+            this.bombBrush = this.fields.bomb.checked;
+        });
+
+        this.fields.boardSize.addEventListener('change', () => this.resize(Number(this.fields.boardSize.value)));
+        ['id', 'name', 'mergeRule', 'moveLimit', 'goalType', 'goalValue', 'threeStars', 'twoStars'].forEach(name => {
+            this.fields[name].addEventListener('change', () => this.readFields());
+        });
+
+        document.getElementById('editor-queue-add-btn').addEventListener('click', () => {
+            if (this.getBrushPiece() === null) return;
+            this.draft.spawnQueue.push(this.getBrushPiece());
+            this.changed();
+        });
+        document.getElementById('editor-queue-clear-btn').addEventListener('click', () => {
+            this.draft.spawnQueue = [];
+            this.changed();
+        });
+        document.getElementById('editor-clear-btn').addEventListener('click', () => this.resize(this.draft.board.length, true));
+
+        document.getElementById('editor-playtest-btn').addEventListener('click', () => this.playtest());
+        document.getElementById('editor-export-btn').addEventListener('click', () => this.exportLevel());
+        document.getElementById('editor-import-btn').addEventListener('click', () => this.importLevel(this.jsonInput.value));
+        document.getElementById('editor-download-btn').addEventListener('click', () => {
+            downloadTextFile(`${this.draft.id || 'level'}.json`, this.toJSON());
+        });
+        document.getElementById('editor-file-input').addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (!file) return;
+            const text = await file.text();
+            this.jsonInput.value = text;
+            this.importLevel(text);
+        });
+        document.getElementById('editor-close-btn').addEventListener('click', () => this.close());
+
+        this.setBrush(this.brush);
+    }
+
+    /**
+     * Show the editor on the main board
+     */
+    open() {
+        if (this.active) return;
+
+        this.game.replayViewer.close(false);
+        this.game.blitz.pause('editor');
+        this.ui.hideGameOver();
+
+        this.active = true;
+        this.panel.style.display = 'flex';
+        if (this.gameControls) this.gameControls.style.display = 'none';
+
+        this.render();
+        this.game.updateGameplay();
+    }
+
+    /**
+     * Leave the editor
+     * @param {boolean} restore - Put the current game back on the board; false when a playtest takes over
+     */
+    close(restore = true) {
+        if (!this.active) return;
+
+        this.active = false;
+        this.panel.style.display = 'none';
+        if (this.gameControls) this.gameControls.style.display = '';
+
+        if (restore) {
+            this.ui.createBoardCells();
+            this.ui.renderBoard(this.game.board);
+            this.game.blitz.resume('editor');
+            if (this.game.gameOver) {
+                this.game.showGameOverScreen();
+            }
+        } else {
+            this.game.blitz.resume('editor');
+        }
+        this.game.updateGameplay();
+    }
+
+    /**
+     * Pick the piece painted on click
+     * @param {number|Object|null} piece - Die value, special piece or null for the eraser
+     */
+    setBrush(piece) {
+        this.brush = piece;
+        if (typeof piece === 'number') {
+            this.fields.dieValue.value = piece;
+        }
+
+        const label = piece === null ? '✕' : getPieceLabel(piece);
+        this.palette.querySelectorAll('.editor-brush').forEach(button => {
+            button.classList.toggle('selected', button.textContent === label);
+        });
+    }
+
+    /**
+     * @returns {number|Object|null} Piece painted on click, with the bomb toggle applied
+     */
+    getBrushPiece() {
+        if (typeof this.brush === 'number' && this.bombBrush) {
+            return createPiece(BOMB, this.brush);
+        }
+        return this.brush;
+    }
+
+    /**
+     * Paint the brush onto a cell; painting the same piece again clears the cell
+     * @param {number} index - Index of the cell
+     */
+    paintCell(index) {
+        const size = this.draft.board.length;
+        const row = Math.floor(index / size);
+        const col = index % size;
+        const piece = this.getBrushPiece();
+        const current = this.draft.board[row][col];
+
+        this.draft.board[row][col] = JSON.stringify(current) === JSON.stringify(piece) ? null : piece;
+        this.changed();
+    }
+
+    /**
+     * Change the board size, keeping the pieces that still fit
+     * @param {number} boardSize - New width and height
+     * @param {boolean} clear - Drop every piece instead
+     */
+    resize(boardSize, clear = false) {
+        const old = this.draft.board;
+        this.draft.board = Array.from({ length: boardSize }, (_, row) =>
+            Array.from({ length: boardSize }, (_, col) =>
+                !clear && old[row] && old[row][col] !== undefined ? old[row][col] : null));
+        this.changed();
+    }
+
+    /**
+     * Copy the level fields from the panel into the draft
+     */
+    readFields() {
+        const number = (field) => {
+            const value = Number(field.value);
+            return field.value.trim() !== '' && Number.isFinite(value) ? Math.floor(value) : undefined;
+        };
+
+        this.draft.id = this.fields.id.value.trim();
+        this.draft.name = this.fields.name.value.trim();
+        this.draft.mergeRule = this.fields.mergeRule.value;
+        this.draft.moveLimit = number(this.fields.moveLimit);
+        this.draft.goal = { type: this.fields.goalType.value, value: number(this.fields.goalValue) };
+
+        // Star thresholds are optional, see validateLevel
+        const threeStars = number(this.fields.threeStars);
+        const twoStars = number(this.fields.twoStars);
+        if (threeStars === undefined && twoStars === undefined) {
+            delete this.draft.stars;
+        } else {
+            this.draft.stars = [
+                threeStars !== undefined ? threeStars : twoStars,
+                twoStars !== undefined ? twoStars : threeStars
+            ];
+        }
+
+        this.changed();
+    }
+
+    /**
+     * Save the draft and redraw the editor
+     */
+    changed() {
+        saveToLocalStorage(STORAGE_KEY, this.draft);
+        this.render();
+    }
+
+    /**
+     * Draw the draft on the board and fill in the panel
+     */
+    render() {
+        const size = this.draft.board.length;
+        if (this.ui.cells.length !== size * size) {
+            this.ui.createBoardCells(size);
+        }
+        this.ui.renderBoard(this.draft.board.flat());
+
+        const { fields, draft } = this;
+        fields.id.value = draft.id || '';
+        fields.name.value = draft.name || '';
+        fields.boardSize.value = size;
+        fields.mergeRule.value = draft.mergeRule || DEFAULT_MERGE_RULE;
+        fields.moveLimit.value = draft.moveLimit !== undefined ? draft.moveLimit : '';
+        fields.goalType.value = draft.goal.type;
+        fields.goalValue.value = draft.goal.value !== undefined ? draft.goal.value : '';
+        fields.threeStars.value = draft.stars ? draft.stars[0] : '';
+        fields.twoStars.value = draft.stars ? draft.stars[1] : '';
+
+        // Queued pieces, each removable with a click
+        this.queueList.innerHTML = '';
+        draft.spawnQueue.forEach((piece, index) => {
+            const chip = document.createElement('button');
+            chip.className = 'editor-queue-piece';
+            chip.textContent = getPieceLabel(piece);
+            chip.title = this.game.localization.get('remove');
+            chip.addEventListener('click', () => {
+                draft.spawnQueue.splice(index, 1);
+                this.changed();
+            });
+            this.queueList.appendChild(chip);
+        });
+    }
+
+    /**
+     * Check the draft, telling the designer what's wrong with it
+     * @returns {Object|null} Complete level, or null if the draft is not valid
+     */
+    validate() {
+        try {
+            return validateLevel(this.draft);
+        } catch (error) {
+            this.showLevelError(error);
+            return null;
+        }
+    }
+
+    /**
+     * Tell the designer why a level isn't valid
+     * @param {Error} error - LevelError from the validator, or the error of JSON that doesn't parse
+     */
+    showLevelError(error) {
+        const { localization } = this.game;
+        const reason = error instanceof LevelError
+            ? localization.get(error.key, error.params)
+            : localization.get('level_error_json');
+
+        console.warn('Invalid level:', error.message);
+        this.game.ui.showMessage(localization.get('invalid_level', { error: reason }));
+        setTimeout(() => this.game.ui.hideMessage(), 4000);
+    }
+
+    /**
+     * Play the draft right away
+     */
+    playtest() {
+        const level = this.validate();
+        if (!level) return;
+
+        this.close(false);
+        this.game.playtestLevel(level);
+    }
+
+    /**
+     * Write the draft as a level pack
+     * @returns {string} Level pack JSON
+     */
+    toJSON() {
+        return JSON.stringify({ version: LEVEL_FORMAT_VERSION, levels: [this.draft] }, null, 4);
+    }
+
+    /**
+     * Show the draft as JSON and copy it
+     */
+    async exportLevel() {
+        if (!this.validate()) return;
+
+        const json = this.toJSON();
+        this.jsonInput.value = json;
+
+        const copied = await copyToClipboard(json);
+        this.game.ui.showMessage(this.game.localization.get(copied ? 'level_copied' : 'error_copying'));
+        setTimeout(() => this.game.ui.hideMessage(), 2000);
+    }
+
+    /**
+     * Load a level or the first level of a level pack into the editor
+     * @param {string} text - Level or level pack JSON
+     * @returns {boolean} True if the level was loaded
+     */
+    importLevel(text) {
+        let level;
+        try {
+            const data = JSON.parse(text);
+            level = validateLevel(Array.isArray(data.levels) ? data.levels[0] : data);
+        } catch (error) {
+            this.showLevelError(error);
+            return false;
+        }
+
+        this.draft = level;
+        this.changed();
+        return true;
+    }
+}
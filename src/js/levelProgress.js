@@ -0,0 +1,95 @@
+/**
+ * Puzzle level progress
+ * The best result of every level is kept in localStorage and mirrored to the platform's player data.
+ */
+import { saveToLocalStorage, loadFromLocalStorage } from './utils';
+
+const STORAGE_KEY = 'diceLevelProgress';
+
+/**
+ * Check whether one level result beats another
+ * @param {Object} result - Result to check
+ * @param {Object|null} best - Best result so far
+ * @returns {boolean} True if the result has more stars, or as many in fewer moves
+ */
+function isBetterResult(result, best) {
+    if (!best) return true;
+    if (result.stars !== best.stars) return result.stars > best.stars;
+    return result.moves < best.moves;
+}
+
+export class LevelProgress {
+    /**
+     * @param {Platform} platform - Platform used for the cloud copy
+     */
+    constructor(platform) {
+        this.platform = platform;
+
+        // Best result per level id: { stars: number, moves: number }
+        this.results = loadFromLocalStorage(STORAGE_KEY, {});
+    }
+
+    /**
+     * Merge the results stored in player data, keeping the best of each level
+     */
+    async syncFromCloud() {
+        const data = await this.platform.getPlayerData();
+        const cloudResults = data && data.levels;
+        if (!cloudResults) return;
+
+        let changed = false;
+        Object.keys(cloudResults).forEach(id => {
+            if (isBetterResult(cloudResults[id], this.results[id] || null)) {
+                this.results[id] = cloudResults[id];
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            saveToLocalStorage(STORAGE_KEY, this.results);
+        }
+    }
+
+    /**
+     * @param {string} id - Level id
+     * @returns {number} Best stars earned on the level, 0 if not solved yet
+     */
+    getStars(id) {
+        return this.results[id] ? this.results[id].stars : 0;
+    }
+
+    /**
+     * @param {Object[]} levels - Levels of the pack
+     * @returns {number} Stars earned over all levels
+     */
+    getTotalStars(levels) {
+        return levels.reduce((total, level) => total + this.getStars(level.id), 0);
+    }
+
+    /**
+     * Check whether a level can be played; each one opens when the one before it is solved
+     * @param {Object[]} levels - Levels of the pack
+     * @param {number} index - Position of the level in the pack
+     * @returns {boolean} True if unlocked
+     */
+    isUnlocked(levels, index) {
+        return index === 0 || this.getStars(levels[index - 1].id) > 0;
+    }
+
+    /**
+     * Record a solved level
+     * @param {string} id - Level id
+     * @param {number} stars - Stars earned
+     * @param {number} moves - Merges used
+     * @returns {boolean} True if this is the best result on the level so far
+     */
+    recordResult(id, stars, moves) {
+        const result = { stars, moves };
+        if (!isBetterResult(result, this.results[id] || null)) return false;
+
+        this.results = { ...this.results, [id]: result };
+        saveToLocalStorage(STORAGE_KEY, this.results);
+        this.platform.updatePlayerData({ levels: this.results });
+        return true;
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Level select screen
+ * Lists the levels of the puzzle pack with the stars earned on each; locked levels can't be opened.
+ */
+import { formatStars } from './levels';
+
+export class LevelSelect {
+    /**
+     * @param {Game} game - Game that starts the picked level
+     */
+    constructor(game) {
+        this.game = game;
+
+        // DOM elements
+        this.modal = document.getElementById('level-select');
+        this.grid = document.getElementById('level-grid');
+        this.totalStars = document.getElementById('level-total-stars');
+    }
+
+    /**
+     * Set up the close button
+     */
+    setupControls() {
+        document.getElementById('close-level-select').addEventListener('click', () => this.dismiss());
+
+        // Close when clicking outside the level list
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) this.dismiss();
+        });
+    }
+
+    /**
+     * Show the level list
+     * @param {Object[]} levels - Levels of the pack
+     */
+    open(levels) {
+        this.render(levels);
+        this.modal.style.display = 'flex';
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    /**
+     * Close without picking a level, going back to the result of a finished game
+     */
+    dismiss() {
+        this.close();
+        if (this.game.gameOver) {
+            this.game.showGameOverScreen();
+        }
+    }
+
+    /**
+     * Build one button per level
+     * @param {Object[]} levels - Levels of the pack
+     */
+    render(levels) {
+        const { localization, levelProgress } = this.game;
+
+        this.totalStars.textContent = localization.get('stars_total', {
+            stars: levelProgress.getTotalStars(levels),
+            total: levels.length * 3
+        });
+
+        this.grid.innerHTML = '';
+        levels.forEach((level, index) => {
+            const unlocked = levelProgress.isUnlocked(levels, index);
+            const stars = levelProgress.getStars(level.id);
+
+            const button = document.createElement('button');
+            button.className = 'level-btn';
+            button.disabled = !unlocked;
+            if (!unlocked) button.classList.add('locked');
+            if (level.id === (this.game.level && this.game.level.id)) button.classList.add('current');
+
+            const number = document.createElement('span');
+            number.className = 'level-number';
+            number.textContent = unlocked ? index + 1 : '🔒';
+
+            const name = document.createElement('span');
+            name.className = 'level-name';
+            name.textContent = level.name;
+
+            const rating = document.createElement('span');
+            rating.className = 'level-stars';
+            rating.textContent = formatStars(stars);
+
+            button.append(number, name, rating);
+            button.addEventListener('click', () => {
+                this.close();
+                this.game.startLevel(index);
+            });
+
+            this.grid.appendChild(button);
+        });
+    }
+}
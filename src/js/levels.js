@@ -0,0 +1,274 @@
+/**
+ * Puzzle levels
+ * A level is a hand-authored starting board with a fixed spawn queue, a move limit and a goal.
+ * Levels ship as JSON level packs in src/assets/levels/:
+ *
+ *   {
+ *     "version": 1,
+ *     "levels": [{
+ *       "id": "first-steps",            unique, progress is saved under it
+ *       "name": "First Steps",
+ *       "mergeRule": "anywhere",        optional, see MERGE_RULES
+ *       "seed": 7,                      optional, decides the cells queued dice land on
+ *       "board": [[1, 1, null], ...],   rows top to bottom; a cell is null, a die value or a
+ *                                       special piece: {"type": "wildcard"}, {"type": "stone"},
+ *                                       {"type": "bomb", "value": 2}
+ *       "spawnQueue": [1, 2, ...],      the dice "Add Dice" hands out, in order
+ *       "moveLimit": 10,                merges allowed
+ *       "goal": {"type": "die", "value": 5},   or {"type": "score", "value": 200}
+ *       "stars": [6, 8]                 most merges for three and for two stars
+ *     }]
+ *   }
+ *
+ * Plain data only, so levels can be checked from Node as well.
+ */
+import { createState } from './engine.js';
+import { MERGE_RULES, DEFAULT_MERGE_RULE } from './rules.js';
+import { normalizeSeed } from './random.js';
+import { WILDCARD, BOMB, STONE, createPiece, getDieValue } from './pieces.js';
+
+export const LEVEL_FORMAT_VERSION = 1;
+
+export const LEVEL_PACK_URL = './assets/levels/levels.json';
+
+/** Smallest and largest board a level may use */
+export const LEVEL_BOARD_SIZES = { min: 3, max: 8 };
+
+/** Highest die value a level may place (what replay and position codes can write) */
+export const MAX_LEVEL_DIE = 26;
+
+/**
+ * Goals a level can set
+ * - die: make a die of the goal value
+ * - score: reach the goal score
+ */
+export const LEVEL_GOALS = ['die', 'score'];
+
+/**
+ * Error of a level that isn't valid
+ * Besides the English message it carries a localization key and its values,
+ * so the level editor can tell designers what's wrong in their language.
+ */
+export class LevelError extends Error {
+    /**
+     * @param {string} message - English description
+     * @param {string} key - Localization key of the description
+     * @param {Object} params - Values of the placeholders in the localized description
+     */
+    constructor(message, key, params = {}) {
+        super(message);
+        this.name = 'LevelError';
+        this.key = key;
+        this.params = params;
+    }
+}
+
+/**
+ * Check a cell or queued piece of a level
+ * @param {*} cell - Cell as written in the JSON
+ * @param {Object} where - Position of the cell, for the error
+ * @param {string} where.text - Position in English
+ * @param {string} where.key - Localization key of the error at this position
+ * @param {Object} where.params - Values of the placeholders in the localized error
+ * @param {boolean} allowEmpty - Whether null is allowed
+ * @returns {number|Object|null} Die value, special piece or null
+ * @throws {LevelError} If the cell is not valid
+ */
+function validateCell(cell, where, allowEmpty = true) {
+    if (cell === null && allowEmpty) return null;
+    if (Number.isInteger(cell) && cell >= 1 && cell <= MAX_LEVEL_DIE) return cell;
+
+    if (cell && typeof cell === 'object') {
+        if (cell.type === WILDCARD || cell.type === STONE) {
+            return createPiece(cell.type);
+        }
+        if (cell.type === BOMB) {
+            return createPiece(BOMB, validateCell(cell.value === undefined ? 1 : cell.value, where, false));
+        }
+    }
+
+    throw new LevelError(`Invalid piece ${JSON.stringify(cell)} at ${where.text}`, where.key, where.params);
+}
+
+/**
+ * Check a level and fill in optional fields
+ * @param {Object} level - Level as written in the JSON
+ * @returns {Object} Complete level
+ * @throws {LevelError} If the level is not valid
+ */
+export function validateLevel(level) {
+    if (!level || typeof level !== 'object') {
+        throw new LevelError('Level must be an object', 'level_error_object');
+    }
+
+    const id = typeof level.id === 'string' ? level.id.trim() : '';
+    if (!id) {
+        throw new LevelError('Level needs an id', 'level_error_id');
+    }
+
+    const rows = level.board;
+    const boardSize = Array.isArray(rows) ? rows.length : 0;
+    if (boardSize < LEVEL_BOARD_SIZES.min || boardSize > LEVEL_BOARD_SIZES.max) {
+        throw new LevelError(`Level "${id}": board must have ${LEVEL_BOARD_SIZES.min} to ${LEVEL_BOARD_SIZES.max} rows`,
+            'level_error_board_size', LEVEL_BOARD_SIZES);
+    }
+
+    const board = rows.map((row, rowIndex) => {
+        if (!Array.isArray(row) || row.length !== boardSize) {
+            throw new LevelError(`Level "${id}": row ${rowIndex + 1} must have ${boardSize} cells`,
+                'level_error_row', { row: rowIndex + 1, size: boardSize });
+        }
+        return row.map((cell, col) => validateCell(cell, {
+            text: `level "${id}", row ${rowIndex + 1}, column ${col + 1}`,
+            key: 'level_error_cell',
+            params: { row: rowIndex + 1, col: col + 1 }
+        }));
+    });
+
+    const spawnQueue = (level.spawnQueue || []).map((piece, index) => validateCell(piece, {
+        text: `level "${id}", spawn ${index + 1}`,
+        key: 'level_error_spawn',
+        params: { index: index + 1 }
+    }, false));
+
+    const mergeRule = level.mergeRule === undefined ? DEFAULT_MERGE_RULE : level.mergeRule;
+    if (!MERGE_RULES.includes(mergeRule)) {
+        throw new LevelError(`Level "${id}": unknown merge rule "${mergeRule}"`, 'level_error_merge_rule');
+    }
+
+    if (!Number.isInteger(level.moveLimit) || level.moveLimit < 1) {
+        throw new LevelError(`Level "${id}": move limit must be a positive whole number`, 'level_error_move_limit');
+    }
+
+    const goal = level.goal || {};
+    if (!LEVEL_GOALS.includes(goal.type) || !Number.isInteger(goal.value) || goal.value < 1) {
+        throw new LevelError(`Level "${id}": goal must be ${LEVEL_GOALS.join(' or ')} with a positive value`, 'level_error_goal');
+    }
+
+    // Without thresholds every completion is worth three stars
+    const [threeStars = level.moveLimit, twoStars = level.moveLimit] = level.stars || [];
+    if (![threeStars, twoStars].every(Number.isInteger) || threeStars > twoStars) {
+        throw new LevelError(`Level "${id}": stars must be two move counts, the three star one first`, 'level_error_stars');
+    }
+
+    const complete = {
+        id,
+        name: typeof level.name === 'string' && level.name.trim() ? level.name.trim() : id,
+        mergeRule,
+        board,
+        spawnQueue,
+        moveLimit: level.moveLimit,
+        goal: { type: goal.type, value: goal.value },
+        stars: [threeStars, twoStars]
+    };
+
+    if (level.seed !== undefined && level.seed !== null) {
+        complete.seed = normalizeSeed(level.seed);
+    }
+
+    return complete;
+}
+
+/**
+ * Check a level pack
+ * @param {Object} pack - Level pack as loaded from JSON
+ * @returns {Object[]} Complete levels, in play order
+ * @throws {Error} If the pack or one of its levels is not valid
+ */
+export function validateLevelPack(pack) {
+    if (!pack || pack.version !== LEVEL_FORMAT_VERSION || !Array.isArray(pack.levels)) {
+        throw new Error(`Level pack must be version ${LEVEL_FORMAT_VERSION} with a list of levels`);
+    }
+
+    const levels = pack.levels.map(validateLevel);
+    const ids = new Set();
+    levels.forEach(level => {
+        if (ids.has(level.id)) {
+            throw new Error(`Level id "${level.id}" is used twice`);
+        }
+        ids.add(level.id);
+    });
+
+    return levels;
+}
+
+/**
+ * Load and check a level pack
+ * @param {string} url - Address of the level pack JSON
+ * @returns {Promise<Object[]>} Complete levels, in play order
+ * @throws {Error} If the pack can't be loaded or is not valid
+ */
+export async function loadLevelPack(url = LEVEL_PACK_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load level pack: ${response.status}`);
+    }
+    return validateLevelPack(await response.json());
+}
+
+/**
+ * Create the starting state of a level
+ * @param {Object} level - Complete level, see validateLevel
+ * @returns {Object} Game state with the level's board and spawn queue
+ */
+export function createLevelState(level) {
+    const board = level.board.flat();
+    const values = board.map(getDieValue).filter(value => value !== null);
+
+    return {
+        ...createState({
+            boardSize: level.board.length,
+            // Levels without a seed still place queued dice the same way every attempt
+            seed: level.seed !== undefined ? level.seed : normalizeSeed(`level-${level.id}`),
+            rules: { mergeRule: level.mergeRule }
+        }),
+        board,
+        highestDie: Math.max(1, ...values),
+        spawnQueue: level.spawnQueue.slice()
+    };
+}
+
+/**
+ * Check whether the goal of a level is reached
+ * @param {Object} level - Complete level
+ * @param {Object} state - Game state
+ * @returns {boolean} True if the level is solved
+ */
+export function isLevelComplete(level, state) {
+    if (level.goal.type === 'score') {
+        return state.score >= level.goal.value;
+    }
+    return state.highestDie >= level.goal.value;
+}
+
+/**
+ * Get the merges left before the move limit is reached
+ * @param {Object} level - Complete level
+ * @param {Object} state - Game state
+ * @returns {number} Merges left
+ */
+export function getMovesLeft(level, state) {
+    return Math.max(0, level.moveLimit - state.moveCount);
+}
+
+/**
+ * Get the stars earned by solving a level
+ * @param {Object} level - Complete level
+ * @param {number} moves - Merges used
+ * @returns {number} 1 to 3 stars
+ */
+export function getLevelStars(level, moves) {
+    const [threeStars, twoStars] = level.stars;
+    if (moves <= threeStars) return 3;
+    if (moves <= twoStars) return 2;
+    return 1;
+}
+
+/**
+ * Draw a star rating
+ * @param {number} stars - Stars earned, 0 to 3
+ * @returns {string} Filled and empty stars, e.g. "★★☆"
+ */
+export function formatStars(stars) {
+    return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+}
@@ -1,6 +1,6 @@
 /**
  * Localization module for Dice Dynasty
- * Uses Yandex Games SDK for language detection
+ * Uses the platform (or the browser) for language detection
  * and CSV files for storing translations
  */
 import Papa from 'papaparse';
@@ -16,16 +16,16 @@ export class Localization {
 
     /**
     * Initialize localization
-    * @param {Object} yandexSDK - Reference to the Yandex SDK instance
+    * @param {Platform} platform - Platform the game runs on
     */
-    async init(yandexSDK) {
+    async init(platform) {
         try {
-            // Try to detect language from Yandex SDK
-            if (yandexSDK && yandexSDK.initialized) {
-                const lang = this.detectYandexLanguage(yandexSDK);
+            // Try to detect language from the platform
+            if (platform && platform.initialized) {
+                const lang = this.detectPlatformLanguage(platform);
                 if (lang) {
                     this.currentLanguage = lang;
-                    console.log(`Language detected from Yandex SDK: ${lang}`);
+                    console.log(`Language detected from platform: ${lang}`);
                 }
             } else {
                 // Fallback to browser language
@@ -55,19 +55,19 @@ export class Localization {
 
 
     /**
-     * Detect language from Yandex SDK
-     * @param {Object} yandexSDK - Reference to the Yandex SDK instance
+     * Detect language from the platform
+     * @param {Platform} platform - Platform the game runs on
      * @returns {string|null} - Language code or null if not detected
      */
-    detectYandexLanguage(yandexSDK) {
-        if (!yandexSDK || !yandexSDK.initialized) return null;
+    detectPlatformLanguage(platform) {
+        if (!platform || !platform.initialized) return null;
         
         try {
-            // Get language directly from the SDK
-            const langCode = yandexSDK.getLanguage();
+            // Get language directly from the platform
+            const langCode = platform.getLanguage();
             if (!langCode) return null;
             
-            // Map Yandex language codes to our supported languages
+            // Map platform language codes to our supported languages
             const supportedLanguages = {
                 'ru': 'ru',
                 'en': 'en',
@@ -78,10 +78,10 @@ export class Localization {
                 // Add more languages as needed
             };
             
-            console.log('Yandex detected language:', langCode);
+            console.log('Platform detected language:', langCode);
             return supportedLanguages[langCode] || 'en';
         } catch (error) {
-            console.warn('Error detecting Yandex language:', error);
+            console.warn('Error detecting platform language:', error);
         }
         
         return null;
@@ -0,0 +1,376 @@
+/**
+ * Text notation for positions and replays
+ *
+ * Position (in the spirit of chess FEN), fields separated by spaces:
+ *   <board> <score> <moves> <highest> <rules> [seed] [rng state]
+ *   board - rows top to bottom separated by "/"; a die is a letter (a=1, b=2 ... z=26), higher
+ *           values are written in parentheses ("(27)"), a run of empty cells is its length
+ *           in digits. "a3/4/2b1/4" is a 4x4 board.
+ *           Special pieces: "W" wildcard, "S" stone, "B" + die a bomb of that value.
+ *   rules - one character per rule, see encodeRules
+ *   e.g.  "a3/4/2b1/4 6 1 2 an 12345"
+ *
+ * Replay, fields separated by ";":
+ *   DD1;<mode>;<start position>;<actions>[;<times>]
+ *   actions - "~" + from + to for a merge, "." + cell + value for a spawn,
+ *             ":" + cell + piece for a special piece spawn or a value past CELL_ALPHABET
+ *             (as written on the board), "!" for undo and "*" for redo; cells and values
+ *             are single characters of CELL_ALPHABET (so boards up to 8x8 fit)
+ *   times   - milliseconds since the previous action, base 36, separated by ","; combos
+ *             depend on them. Without this field actions are spaced evenly.
+ *   e.g.  "DD1;endless;4/4/4/4 0 0 1 an 77;.31.a1~a3"
+ */
+import { createState } from './engine.js';
+import { createRules, AUTO_SPAWN_COUNTS, isValidBoardSize } from './rules.js';
+import { LEVEL_BOARD_SIZES } from './levels.js';
+import { REPLAY_VERSION } from './replay.js';
+import { normalizeSeed } from './random.js';
+import { WILDCARD, BOMB, STONE, createPiece, getPieceType, getDieValue } from './pieces.js';
+
+export const REPLAY_PREFIX = 'DD1';
+
+const CELL_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ-_';
+const DIE_LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+
+// One piece as written on the board, see encodePiece
+const PIECE_PATTERN = /W|S|B?(?:[a-z]|\(\d+\))/y;
+
+const MERGE_RULE_CODES = {
+    anywhere: 'a',
+    orthogonal: 'o',
+    'eight-neighbour': 'e'
+};
+
+const SPAWN_PRESET_CODES = {
+    easy: 'e',
+    normal: 'n',
+    hard: 'h'
+};
+
+/**
+ * Find the name a one-character code stands for
+ * @param {Object<string, string>} codes - Code per name
+ * @param {string} code - Code to look up
+ * @param {string} label - What the code describes, for the error message
+ * @returns {string} Name
+ * @throws {Error} If the code is unknown
+ */
+function decodeCode(codes, code, label) {
+    const name = Object.keys(codes).find(key => codes[key] === code);
+    if (!name) {
+        throw new Error(`Unknown ${label} "${code}"`);
+    }
+    return name;
+}
+
+/**
+ * Encode a rule set
+ * @param {Object} rules - Rule set
+ * @returns {string} Rule token: merge rule (a/o/e), difficulty (e/n/h), then the dice
+ *          spawned after every merge if any (e.g. "an1" for Classic Turn)
+ */
+export function encodeRules(rules) {
+    const { mergeRule, spawnPreset, autoSpawn } = createRules(rules);
+    return MERGE_RULE_CODES[mergeRule] + SPAWN_PRESET_CODES[spawnPreset] + (autoSpawn ? autoSpawn : '');
+}
+
+/**
+ * Decode a rule token
+ * @param {string} token - Rule token
+ * @returns {Object} Rule set
+ * @throws {Error} If the token is not valid
+ */
+export function decodeRules(token = '') {
+    // Missing characters mean the default rule, so older codes stay valid
+    const autoSpawn = Number(token[2] || 0);
+    if (!AUTO_SPAWN_COUNTS.includes(autoSpawn)) {
+        throw new Error(`Unknown turn rule "${token[2]}"`);
+    }
+
+    return createRules({
+        mergeRule: decodeCode(MERGE_RULE_CODES, token[0] || 'a', 'merge rule'),
+        spawnPreset: decodeCode(SPAWN_PRESET_CODES, token[1] || 'n', 'difficulty'),
+        autoSpawn
+    });
+}
+
+/**
+ * Encode the piece in a cell
+ * @param {number|Object} cell - Die value or special piece
+ * @returns {string} Piece token
+ */
+function encodePiece(cell) {
+    switch (getPieceType(cell)) {
+        case WILDCARD:
+            return 'W';
+        case STONE:
+            return 'S';
+        case BOMB:
+            return 'B' + encodePiece(cell.value);
+        default:
+            if (!Number.isInteger(cell) || cell < 1) {
+                throw new Error(`Die value ${cell} can't be written in notation`);
+            }
+            return cell <= DIE_LETTERS.length ? DIE_LETTERS[cell - 1] : `(${cell})`;
+    }
+}
+
+/**
+ * Decode a piece token
+ * @param {string} token - Piece token
+ * @returns {number|Object} Die value or special piece
+ * @throws {Error} If the token is not valid
+ */
+function decodePiece(token) {
+    if (token === 'W') return createPiece(WILDCARD);
+    if (token === 'S') return createPiece(STONE);
+    if (/^B([a-z]|\(\d+\))$/.test(token)) return createPiece(BOMB, decodePiece(token.slice(1)));
+    if (/^[a-z]$/.test(token)) return DIE_LETTERS.indexOf(token) + 1;
+
+    const number = /^\((\d+)\)$/.exec(token);
+    if (number && Number(number[1]) > 0) return Number(number[1]);
+    throw new Error(`Unknown piece "${token}"`);
+}
+
+/**
+ * Encode the board part of a position
+ * @param {Object} state - Game state
+ * @returns {string} Board rows
+ */
+function encodeBoard(state) {
+    const rows = [];
+    for (let row = 0; row < state.boardSize; row++) {
+        let text = '';
+        let empty = 0;
+
+        for (let col = 0; col < state.boardSize; col++) {
+            const cell = state.board[row * state.boardSize + col];
+            if (cell === null) {
+                empty++;
+                continue;
+            }
+            if (empty > 0) {
+                text += empty;
+                empty = 0;
+            }
+            text += encodePiece(cell);
+        }
+
+        rows.push(empty > 0 ? text + empty : text);
+    }
+    return rows.join('/');
+}
+
+/**
+ * Decode the board part of a position
+ * @param {string} text - Board rows
+ * @param {boolean} puzzle - Allow the board sizes of puzzle levels instead of the playable ones
+ * @returns {{boardSize: number, board: Array<number|null>}} Decoded board
+ * @throws {Error} If the board is not valid
+ */
+function decodeBoard(text, puzzle = false) {
+    const rows = text.split('/');
+    const boardSize = rows.length;
+    const board = [];
+
+    const supported = puzzle
+        ? boardSize >= LEVEL_BOARD_SIZES.min && boardSize <= LEVEL_BOARD_SIZES.max
+        : isValidBoardSize(boardSize);
+    if (!supported) {
+        throw new Error(`Board size ${boardSize} is not supported`);
+    }
+
+    rows.forEach((row, rowIndex) => {
+        const cells = [];
+        const tokens = row.match(/\d+|B?\(\d+\)|B[a-z]|./g) || [];
+
+        tokens.forEach(token => {
+            if (/^\d+$/.test(token)) {
+                for (let i = 0; i < Number(token); i++) cells.push(null);
+                return;
+            }
+            try {
+                cells.push(decodePiece(token));
+            } catch (error) {
+                throw new Error(`Unknown cell "${token}" in row ${rowIndex + 1}`);
+            }
+        });
+
+        if (cells.length !== boardSize) {
+            throw new Error(`Row ${rowIndex + 1} has ${cells.length} cells, expected ${boardSize}`);
+        }
+        board.push(...cells);
+    });
+
+    return { boardSize, board };
+}
+
+/**
+ * Encode a position
+ * @param {Object} state - Game state
+ * @param {number|null} rngState - Random generator state, to continue with the same spawns
+ * @returns {string} Position notation
+ */
+export function encodePosition(state, rngState = null) {
+    const fields = [
+        encodeBoard(state),
+        state.score,
+        state.moveCount,
+        state.highestDie,
+        encodeRules(state.rules)
+    ];
+
+    if (state.seed !== null && state.seed !== undefined) {
+        fields.push(state.seed);
+        if (rngState !== null) fields.push(rngState);
+    }
+
+    return fields.join(' ');
+}
+
+/**
+ * Decode a position
+ * @param {string} text - Position notation
+ * @param {Object} options - Decoding options
+ * @param {boolean} options.puzzle - The position is from a puzzle level, which may use other board sizes
+ * @returns {{state: Object, rngState: number|null}} Game state and random generator state
+ * @throws {Error} If the position is not valid
+ */
+export function decodePosition(text, { puzzle = false } = {}) {
+    const [boardText, score = '0', moves = '0', highest, rulesToken, seed, rngState] = text.trim().split(/\s+/);
+    const { boardSize, board } = decodeBoard(boardText || '', puzzle);
+
+    const numbers = [score, moves, highest, seed, rngState].filter(field => field !== undefined);
+    if (numbers.some(field => !/^\d+$/.test(field))) {
+        throw new Error('Position fields must be whole numbers');
+    }
+
+    // The highest die ever made can't be lower than a die still on the board
+    const boardHighest = Math.max(1, ...board.map(getDieValue).filter(value => value !== null));
+    if (highest !== undefined && Number(highest) < boardHighest) {
+        throw new Error(`Highest die ${highest} is lower than the ${boardHighest} on the board`);
+    }
+
+    const state = {
+        ...createState({ boardSize, seed: seed !== undefined ? normalizeSeed(seed) : null, rules: decodeRules(rulesToken) }),
+        board,
+        score: Number(score),
+        moveCount: Number(moves),
+        highestDie: highest !== undefined ? Number(highest) : boardHighest
+    };
+
+    return { state, rngState: rngState !== undefined ? Number(rngState) : null };
+}
+
+/**
+ * Encode a replay
+ * @param {Object} replay - Recorded replay (see ReplayRecorder)
+ * @returns {string} Replay notation
+ */
+export function encodeReplay(replay) {
+    const actions = replay.actions.map(action => {
+        switch (action.type) {
+            case 'merge':
+                return '~' + CELL_ALPHABET[action.from] + CELL_ALPHABET[action.to];
+            case 'spawn':
+                return typeof action.value === 'number' && action.value < CELL_ALPHABET.length
+                    ? '.' + CELL_ALPHABET[action.index] + CELL_ALPHABET[action.value]
+                    : ':' + CELL_ALPHABET[action.index] + encodePiece(action.value);
+            case 'undo':
+                return '!';
+            case 'redo':
+                return '*';
+            default:
+                throw new Error(`Unknown action "${action.type}"`);
+        }
+    }).join('');
+
+    const times = replay.actions.map((action, index) => {
+        const previous = index > 0 ? replay.actions[index - 1].t : 0;
+        return Math.max(0, action.t - previous).toString(36);
+    }).join(',');
+
+    return [REPLAY_PREFIX, replay.mode, encodePosition(replay.start), actions, times].join(';');
+}
+
+/**
+ * Decode a replay
+ * Codes without times get actions spaced evenly for playback.
+ * @param {string} text - Replay notation
+ * @returns {Object} Replay that can be passed to computeReplayFrames
+ * @throws {Error} If the replay is not valid
+ */
+export function decodeReplay(text) {
+    const [prefix, mode, positionText, actionsText = '', timesText] = text.trim().split(';');
+    if (prefix !== REPLAY_PREFIX) {
+        throw new Error(`Unsupported replay version "${prefix}"`);
+    }
+
+    const { state } = decodePosition(positionText || '', { puzzle: mode === 'puzzle' });
+    const readCell = (char) => {
+        const index = CELL_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error(`Unknown cell "${char}"`);
+        return index;
+    };
+
+    const gaps = timesText ? timesText.split(',').map(gap => parseInt(gap, 36)) : [];
+    if (gaps.some(gap => Number.isNaN(gap))) {
+        throw new Error('Replay times must be base 36 numbers');
+    }
+
+    const actions = [];
+    let time = 0;
+    for (let i = 0; i < actionsText.length;) {
+        const marker = actionsText[i];
+        time += gaps.length > 0 ? (gaps[actions.length] || 0) : (actions.length > 0 ? 500 : 0);
+        const t = time;
+
+        if (marker === '~' || marker === '.') {
+            const a = readCell(actionsText[i + 1]);
+            const b = readCell(actionsText[i + 2]);
+            if (marker === '.' && b < 1) {
+                throw new Error(`Spawn value ${b} in action ${actions.length + 1} is not a die`);
+            }
+            actions.push(marker === '~'
+                ? { t, type: 'merge', from: a, to: b }
+                : { t, type: 'spawn', index: a, value: b });
+            i += 3;
+        } else if (marker === ':') {
+            const index = readCell(actionsText[i + 1]);
+            PIECE_PATTERN.lastIndex = i + 2;
+            const piece = PIECE_PATTERN.exec(actionsText);
+            if (!piece) throw new Error(`Unknown piece in action ${actions.length + 1}`);
+            actions.push({ t, type: 'spawn', index, value: decodePiece(piece[0]) });
+            i += 2 + piece[0].length;
+        } else if (marker === '!' || marker === '*') {
+            actions.push({ t, type: marker === '!' ? 'undo' : 'redo' });
+            i += 1;
+        } else {
+            throw new Error(`Unknown action "${marker}"`);
+        }
+    }
+
+    return {
+        version: REPLAY_VERSION,
+        seed: state.seed,
+        mode: mode || 'endless',
+        rules: state.rules,
+        start: state,
+        startedAt: 0,
+        actions
+    };
+}
+
+/**
+ * Decode a pasted code, which may be a replay or a position
+ * @param {string} text - Replay or position notation
+ * @returns {{type: 'replay', replay: Object}|{type: 'position', state: Object, rngState: number|null}}
+ * @throws {Error} If the code is not valid
+ */
+export function decodeGameCode(text) {
+    const code = text.trim();
+    if (/^DD\d+;/.test(code)) {
+        return { type: 'replay', replay: decodeReplay(code) };
+    }
+    return { type: 'position', ...decodePosition(code) };
+}
@@ -0,0 +1,55 @@
+/**
+ * Special pieces
+ * Plain dice are stored on the board as numbers; special pieces are small objects:
+ *   { type: 'wildcard' }         - merges with a die of any value
+ *   { type: 'bomb', value: n }   - a die of value n that clears the cells around it when merged
+ *   { type: 'stone' }            - can't be moved or merged; breaks when a merge happens next to it
+ * Plain data only, so boards stay serializable for saves, replays and Node tools.
+ */
+
+export const WILDCARD = 'wildcard';
+export const BOMB = 'bomb';
+export const STONE = 'stone';
+
+export const SPECIAL_PIECES = [WILDCARD, BOMB, STONE];
+
+/**
+ * Create a special piece
+ * @param {string} type - One of SPECIAL_PIECES
+ * @param {number} value - Die value, for bombs
+ * @returns {Object} Piece
+ */
+export function createPiece(type, value = 1) {
+    return type === BOMB ? { type, value } : { type };
+}
+
+/**
+ * Get the type of piece in a cell
+ * @param {number|Object|null} cell - Board cell
+ * @returns {string|null} 'die', one of SPECIAL_PIECES, or null for an empty cell
+ */
+export function getPieceType(cell) {
+    if (cell === null || cell === undefined) return null;
+    return typeof cell === 'number' ? 'die' : cell.type;
+}
+
+/**
+ * Get the die value of a cell
+ * @param {number|Object|null} cell - Board cell
+ * @returns {number|null} Value of a plain die or bomb, null for anything else
+ */
+export function getDieValue(cell) {
+    if (typeof cell === 'number') return cell;
+    if (cell && cell.type === BOMB) return cell.value;
+    return null;
+}
+
+/**
+ * Check whether a cell holds a piece the player can move or merge
+ * @param {number|Object|null} cell - Board cell
+ * @returns {boolean} True for dice, bombs and wildcards
+ */
+export function isMovable(cell) {
+    const type = getPieceType(cell);
+    return type !== null && type !== STONE;
+}
@@ -0,0 +1,36 @@
+/**
+ * Platform selection at startup
+ * The ?platform=yandex|local URL parameter picks one explicitly; otherwise Yandex Games is used
+ * when its SDK script loaded and the local platform when it didn't.
+ */
+import { YandexPlatform } from './yandexPlatform';
+import { LocalPlatform } from './localPlatform';
+
+const PLATFORMS = {
+    yandex: YandexPlatform,
+    local: LocalPlatform
+};
+
+/**
+ * @returns {string} Key of PLATFORMS to run on
+ */
+export function detectPlatform() {
+    const requested = new URLSearchParams(window.location.search).get('platform');
+    if (requested && PLATFORMS[requested]) {
+        return requested;
+    }
+    return typeof YaGames !== 'undefined' ? 'yandex' : 'local';
+}
+
+/**
+ * Create and initialize the platform the game runs on
+ * @param {Game} game - Game using the platform
+ * @param {string} name - Key of PLATFORMS, detected if not given
+ * @returns {Platform} Platform, initializing in the background (see Platform#onInit)
+ */
+export function createPlatform(game, name = detectPlatform()) {
+    const platform = new PLATFORMS[name](game);
+    console.log(`Running on the ${name} platform`);
+    platform.init();
+    return platform;
+}
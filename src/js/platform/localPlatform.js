@@ -0,0 +1,124 @@
+/**
+ * Local platform
+ * Works offline without any portal: the player is this browser, player data and leaderboards
+ * are kept in localStorage, and ads are skipped. Used for development and for builds that ship
+ * outside Yandex Games.
+ */
+import { Platform } from './platform';
+import { saveToLocalStorage, loadFromLocalStorage } from '../utils';
+
+const PLAYER_ID_KEY = 'dicePlatformPlayerId';
+const PLAYER_DATA_KEY = 'dicePlatformPlayerData';
+const LEADERBOARDS_KEY = 'dicePlatformLeaderboards';
+
+/**
+ * @returns {string} Random id for a new local player
+ */
+function createPlayerId() {
+    return `local-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export class LocalPlatform extends Platform {
+    /**
+     * @param {Game} game - Game using the platform
+     */
+    constructor(game) {
+        super(game);
+        this.playerId = null;
+
+        // The player's entry per leaderboard name: { score, date, extraData }
+        this.leaderboards = {};
+    }
+
+    async init() {
+        this.playerId = loadFromLocalStorage(PLAYER_ID_KEY, null);
+        if (!this.playerId) {
+            this.playerId = createPlayerId();
+            saveToLocalStorage(PLAYER_ID_KEY, this.playerId);
+        }
+        this.leaderboards = loadFromLocalStorage(LEADERBOARDS_KEY, {});
+
+        this.initialized = true;
+        console.log('Local platform initialized');
+        this.triggerInitCallbacks();
+    }
+
+    /**
+     * Get the language of the browser
+     * @returns {string|null} Primary language code (e.g. "en" from "en-US")
+     */
+    getLanguage() {
+        const browserLang = navigator.language || navigator.userLanguage;
+        return browserLang ? browserLang.split('-')[0] : null;
+    }
+
+    getPlayerId() {
+        return this.playerId;
+    }
+
+    /**
+     * The local player is always signed in, so every platform feature is available
+     * @returns {boolean} True once initialized
+     */
+    isPlayerAuthorized() {
+        return this.initialized;
+    }
+
+    async getPlayerData() {
+        if (!this.initialized) return null;
+        return loadFromLocalStorage(PLAYER_DATA_KEY, {});
+    }
+
+    async savePlayerData(data) {
+        if (!this.initialized) return false;
+        saveToLocalStorage(PLAYER_DATA_KEY, data);
+        return true;
+    }
+
+    hasLeaderboard() {
+        return this.initialized;
+    }
+
+    async saveScore(score, leaderboardName = this.leaderboardName, extraData = undefined) {
+        if (!this.initialized) return false;
+
+        const entry = { score, date: Date.now(), extraData: extraData || '' };
+        this.leaderboards = { ...this.leaderboards, [leaderboardName]: entry };
+        saveToLocalStorage(LEADERBOARDS_KEY, this.leaderboards);
+        return true;
+    }
+
+    async getPlayerLeaderboardEntry(leaderboardName = this.leaderboardName) {
+        const entry = this.leaderboards[leaderboardName];
+        return entry ? { score: entry.score, extraData: entry.extraData || '' } : null;
+    }
+
+    /**
+     * The only entry of a local leaderboard is the player's own, ranked first
+     */
+    async getLeaderboardEntries(leaderboardName, options = {}) {
+        if (!this.initialized) {
+            throw new Error('Leaderboard not available');
+        }
+
+        const entry = this.leaderboards[leaderboardName];
+        if (!entry) return { entries: [], userRank: 0 };
+
+        return {
+            entries: [{
+                rank: 1,
+                score: entry.score,
+                extraData: entry.extraData || '',
+                player: { uniqueID: this.playerId, publicName: '' }
+            }],
+            userRank: 1
+        };
+    }
+
+    /**
+     * No ad to watch offline, so the reward is granted straight away
+     */
+    async showRewardedAd() {
+        return true;
+    }
+}
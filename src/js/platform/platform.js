@@ -0,0 +1,277 @@
+/**
+ * Platform interface
+ * Everything the game needs from the portal it runs on: the player, leaderboards, cloud player
+ * data, ads, the language and gameplay events. Each portal gets a subclass; the methods here
+ * describe the interface and behave as if nothing is available, so a subclass only overrides
+ * what its portal offers.
+ */
+
+/** Leaderboard name suffix per merge rule; the default anywhere rule has none */
+const MERGE_RULE_NAMES = {
+    orthogonal: 'Ortho',
+    'eight-neighbour': 'Eight'
+};
+
+export class Platform {
+    /**
+     * @param {Game} game - Game using the platform
+     */
+    constructor(game) {
+        this.game = game;
+        this.initialized = false;
+        this.leaderboardName = 'main'; // Leaderboard of the default Endless game
+        this.leaderboardNames = {
+            endless: 'main',
+            daily: 'daily',
+            blitz: 'blitz'
+        };
+        this.initCallbacks = [];
+        this.initFinished = false; // Set once init is over, successful or not
+
+        // Player data as last written by the updates in progress, so queued updates build on each
+        // other rather than on a stale read; dropped once the queue empties
+        this.playerDataCache = null;
+
+        // Pending player data updates, run one at a time in the order they were made
+        this.playerDataQueue = Promise.resolve();
+        this.playerDataPending = 0;
+
+        // Whether the portal was last told that gameplay started
+        this.gameplayActive = false;
+    }
+
+    /**
+     * Connect to the portal; runs the init callbacks once done, whether it worked or not
+     */
+    async init() {
+        this.triggerInitCallbacks();
+    }
+
+    /**
+     * Register a callback to be called when initialization is complete
+     * @param {Function} callback - Called with whether the platform initialized, right away if it's done
+     */
+    onInit(callback) {
+        if (this.initFinished) {
+            // If init is already over, call immediately
+            callback(this.initialized);
+        } else {
+            // Otherwise add to queue
+            this.initCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Trigger all registered init callbacks
+     */
+    triggerInitCallbacks() {
+        this.initFinished = true;
+        for (const callback of this.initCallbacks) {
+            try {
+                callback(this.initialized);
+            } catch (e) {
+                console.error('Error in platform init callback:', e);
+            }
+        }
+        // Clear the callbacks
+        this.initCallbacks = [];
+    }
+
+    /**
+     * Get the language the portal is shown in
+     * @returns {string|null} Language code (e.g. "en") or null if not available
+     */
+    getLanguage() {
+        return null;
+    }
+
+    /**
+     * @returns {string|null} Unique id of the player, used to find their own leaderboard entries
+     */
+    getPlayerId() {
+        return null;
+    }
+
+    /**
+     * Check whether the player is signed in, so their data and scores are kept for them
+     * @returns {boolean} True for signed-in players
+     */
+    isPlayerAuthorized() {
+        return false;
+    }
+
+    /**
+     * Get the player data kept by the portal
+     * @returns {Promise<Object|null>} Player data, or null if there is none to use
+     */
+    async getPlayerData() {
+        return null;
+    }
+
+    /**
+     * Merge a partial update into the player data, keeping keys owned by other features
+     * Features update their own keys without waiting for each other (the end of a game updates
+     * several at once), so updates are queued and each one starts from the data the previous
+     * one wrote; reading the data back for every update would lose all but the last.
+     * The first update after the queue empties reads the data again, picking up what other
+     * devices saved in the meantime.
+     * @param {Object} patch - Top-level keys to overwrite
+     * @returns {Promise<boolean>} True if the data was saved
+     */
+    updatePlayerData(patch) {
+        this.playerDataPending++;
+        const update = this.playerDataQueue.then(async () => {
+            const data = this.playerDataCache || await this.getPlayerData();
+            if (data === null) return false;
+
+            const updated = { ...data, ...patch };
+            const saved = await this.savePlayerData(updated);
+            if (saved) {
+                this.playerDataCache = updated;
+            }
+            return saved;
+        }).finally(() => {
+            this.playerDataPending--;
+            if (this.playerDataPending === 0) {
+                this.playerDataCache = null;
+            }
+        });
+
+        // A failed update mustn't hold up the ones after it
+        this.playerDataQueue = update.catch(() => false);
+        return update;
+    }
+
+    /**
+     * Replace the player data
+     * @param {Object} data - Whole player data
+     * @returns {Promise<boolean>} True if the data was saved
+     */
+    async savePlayerData(data) {
+        return false;
+    }
+
+    /**
+     * Get the leaderboard used by a game mode, board size, merge rule and difficulty
+     * The default 5x5 board with the anywhere merge rule on normal difficulty keeps the plain
+     * mode leaderboard (e.g. "main"), other sizes get the size appended (e.g. "main4", "main8"),
+     * other merge rules a short name (e.g. "mainOrtho", "main6Eight"), other
+     * difficulties their name (e.g. "mainEasy", "main6OrthoHard") and Classic Turn
+     * games "Classic" with the dice per merge above one (e.g. "mainClassic", "mainClassic2").
+     * @param {string} mode - Game mode
+     * @param {number} boardSize - Width and height of the board
+     * @param {string} spawnPreset - Difficulty
+     * @param {number} autoSpawn - Dice spawned after every merge
+     * @param {string} mergeRule - Merge rule
+     * @returns {string} Leaderboard name
+     */
+    getLeaderboardName(mode, boardSize = 5, spawnPreset = 'normal', autoSpawn = 0, mergeRule = 'anywhere') {
+        let name = this.leaderboardNames[mode] || this.leaderboardName;
+        if (boardSize !== 5) {
+            name += boardSize;
+        }
+        if (MERGE_RULE_NAMES[mergeRule]) {
+            name += MERGE_RULE_NAMES[mergeRule];
+        }
+        if (spawnPreset !== 'normal') {
+            name += spawnPreset.charAt(0).toUpperCase() + spawnPreset.slice(1);
+        }
+        if (autoSpawn > 0) {
+            name += autoSpawn > 1 ? `Classic${autoSpawn}` : 'Classic';
+        }
+        return name;
+    }
+
+    /**
+     * @returns {boolean} True if leaderboards can be read and written
+     */
+    hasLeaderboard() {
+        return false;
+    }
+
+    /**
+     * Submit a score; it replaces the player's entry, so only submit scores that should
+     * @param {number} score - Score to submit
+     * @param {string} leaderboardName - Leaderboard to submit to
+     * @param {string} extraData - Text kept with the entry (the day of a daily challenge score)
+     * @returns {Promise<boolean>} True if the score was saved
+     */
+    async saveScore(score, leaderboardName = this.leaderboardName, extraData = undefined) {
+        return false;
+    }
+
+    /**
+     * Get the player's own entry in a leaderboard
+     * @param {string} leaderboardName - Leaderboard to look in
+     * @returns {Promise<{score: number, extraData: string}|null>} The player's entry or null if not found
+     */
+    async getPlayerLeaderboardEntry(leaderboardName = this.leaderboardName) {
+        return null;
+    }
+
+    /**
+     * Get the player's current score in a leaderboard
+     * @param {string} leaderboardName - Leaderboard to look in
+     * @returns {Promise<number|null>} The player's current score or null if not found
+     */
+    async getPlayerLeaderboardScore(leaderboardName = this.leaderboardName) {
+        const entry = await this.getPlayerLeaderboardEntry(leaderboardName);
+        return entry ? entry.score : null;
+    }
+
+    /**
+     * Fetch entries of a leaderboard
+     * Entries follow the Yandex shape: { rank, score, extraData, player: { uniqueID, publicName } }.
+     * @param {string} leaderboardName - Leaderboard to read
+     * @param {Object} options - Entries to fetch
+     * @param {number} options.quantityTop - Entries from the top, at most 20
+     * @param {number} options.quantityAround - Entries above and below the player's own, at most 10
+     * @param {boolean} options.includeUser - Whether to include the player's own entry
+     * @returns {Promise<{entries: Object[], userRank: number}>} Entries in rank order and the
+     *          player's rank, 0 if the player has none; a leaderboard nobody has scored on yet is empty
+     * @throws {Error} If the leaderboard isn't available or the entries can't be loaded
+     */
+    async getLeaderboardEntries(leaderboardName, options = {}) {
+        throw new Error('Leaderboard not available');
+    }
+
+    /**
+     * Get the avatar of a player on a leaderboard
+     * @param {Object} entryPlayer - Player of a leaderboard entry (entry.player)
+     * @param {string} size - 'small', 'medium' or 'large'
+     * @returns {string|null} Image URL, or null if the player doesn't share an avatar
+     */
+    getAvatarUrl(entryPlayer, size = 'small') {
+        return null;
+    }
+
+    /**
+     * Show a fullscreen ad between games
+     * @returns {Promise<boolean>} True once an ad was shown and closed, false if none was shown
+     */
+    async showFullscreenAd() {
+        return false;
+    }
+
+    /**
+     * Show an ad the player chose to watch for a reward
+     * @returns {Promise<boolean>} True if the player earned the reward
+     */
+    async showRewardedAd() {
+        return false;
+    }
+
+    /**
+     * Tell the portal the player is now playing (a game is on the board and nothing covers it)
+     */
+    gameplayStart() {
+        this.gameplayActive = true;
+    }
+
+    /**
+     * Tell the portal the player stopped playing (game over, an ad, a replay or the editor)
+     */
+    gameplayStop() {
+        this.gameplayActive = false;
+    }
+}
@@ -1,17 +1,19 @@
-// src/js/yandexSDK.js
+/**
+ * Yandex Games platform
+ * Runs on the Yandex Games SDK, loaded as the global YaGames by the script in index.html.
+ */
+import { Platform } from './platform';
 
-export class YandexSDK {
+export class YandexPlatform extends Platform {
+    /**
+     * @param {Game} game - Game using the platform
+     */
     constructor(game) {
-        this.game = game;
+        super(game);
         this.player = null;
-        this.initialized = false;
-        this.leaderboardName = 'main'; // Using "main" as the leaderboard name
         this.ysdk = null;
         this.leaderboard = null;
-        this.initCallbacks = [];
-
-        // Initialize the SDK
-        this.init();
+        this.adv = null;
     }
 
     async init() {
@@ -82,35 +84,6 @@ export class YandexSDK {
             this.triggerInitCallbacks();
         }
     }
-    /**
-    * Register a callback to be called when SDK initialization is complete
-    * @param {Function} callback 
-    */
-    onInit(callback) {
-        if (this.initialized) {
-            // If already initialized, call immediately
-            callback(this.initialized);
-        } else {
-            // Otherwise add to queue
-            this.initCallbacks.push(callback);
-        }
-    }
-
-    /**
-     * Trigger all registered init callbacks
-     */
-    triggerInitCallbacks() {
-        for (const callback of this.initCallbacks) {
-            try {
-                callback(this.initialized);
-            } catch (e) {
-                console.error('Error in SDK init callback:', e);
-            }
-        }
-        // Clear the callbacks
-        this.initCallbacks = [];
-    }
-
     /**
      * Get language from Yandex environment
      * @returns {string|null} The detected language or null if not available
@@ -132,8 +105,15 @@ export class YandexSDK {
         return null;
     }
 
+    /**
+     * @returns {boolean} True if the leaderboards of the SDK are available
+     */
+    hasLeaderboard() {
+        return this.initialized && !!this.leaderboard;
+    }
+
     // Save score to leaderboard
-    async saveScore(score) {
+    async saveScore(score, leaderboardName = this.leaderboardName, extraData = undefined) {
         if (!this.initialized || !this.ysdk || !this.leaderboard) {
             console.warn('Cannot save score: SDK not initialized or leaderboard not available');
             return false;
@@ -141,8 +121,8 @@ export class YandexSDK {
 
         try {
             // The Yandex SDK will internally check if the score is better than the previous one
-            await this.leaderboard.setLeaderboardScore(this.leaderboardName, score);
-            console.log('Score saved to leaderboard:', score);
+            await this.leaderboard.setLeaderboardScore(leaderboardName, score, extraData);
+            console.log(`Score saved to leaderboard ${leaderboardName}:`, score);
             return true;
         } catch (error) {
             console.error('Error saving score to leaderboard:', error);
@@ -150,124 +130,59 @@ export class YandexSDK {
         }
     }
 
-    // Show leaderboard
-    async showLeaderboard() {
-        if (!this.initialized || !this.ysdk) {
-            console.warn('Cannot show leaderboard: SDK not initialized');
-            return false;
+    /**
+     * Fetch entries of a leaderboard
+     * @param {string} leaderboardName - Leaderboard to read
+     * @param {Object} options - Entries to fetch
+     * @param {number} options.quantityTop - Entries from the top, at most 20
+     * @param {number} options.quantityAround - Entries above and below the player's own, at most 10
+     * @param {boolean} options.includeUser - Whether to include the player's own entry
+     * @returns {Promise<{entries: Object[], userRank: number}>} Entries in rank order and the
+     *          player's rank, 0 if the player has none; a leaderboard nobody has scored on yet is empty
+     * @throws {Error} If the SDK isn't available or the entries can't be loaded
+     */
+    async getLeaderboardEntries(leaderboardName, { quantityTop = 10, quantityAround = 0, includeUser = false } = {}) {
+        if (!this.initialized || !this.leaderboard) {
+            throw new Error('Leaderboard not available');
         }
 
         try {
-            // Create our own leaderboard UI using the Yandex data
-            const globalLeaderboardDiv = document.getElementById('global-leaderboard');
-            if (!globalLeaderboardDiv) {
-                console.error('Global leaderboard div not found');
-                return false;
+            const data = await this.leaderboard.getLeaderboardEntries(leaderboardName, { quantityTop, quantityAround, includeUser });
+            return { entries: (data && data.entries) || [], userRank: (data && data.userRank) || 0 };
+        } catch (error) {
+            // The leaderboard is created with the first score submitted to it
+            if (error.message && error.message.includes('not found')) {
+                return { entries: [], userRank: 0 };
             }
+            throw error;
+        }
+    }
 
-            // Clear previous content and show loading message
-            globalLeaderboardDiv.innerHTML = '<div class="loading-leaderboard">Loading leaderboard data...</div>';
-
-            // Get leaderboard data from Yandex - only when we actually need to show it
-            const leaderboard = await this.ysdk.getLeaderboards();
-
-            try {
-                const leaderboardData = await leaderboard.getLeaderboardEntries(this.leaderboardName, { quantityTop: 10 });
-
-                // Display logic remains the same
-                if (!leaderboardData || !leaderboardData.entries || leaderboardData.entries.length === 0) {
-                    globalLeaderboardDiv.innerHTML = '<div class="no-scores-message">No global scores available yet. Be the first to submit your score!</div>';
-                    return true;
-                }
-
-                // Create table for leaderboard
-                const table = document.createElement('table');
-                table.className = 'leaderboard-table';
-
-                // Create header
-                const thead = document.createElement('thead');
-                thead.innerHTML = `
-                    <tr>
-                        <th>Rank</th>
-                        <th>Player</th>
-                        <th>Score</th>
-                    </tr>
-                `;
-                table.appendChild(thead);
-
-                // Create body
-                const tbody = document.createElement('tbody');
-
-                // Add entries
-                leaderboardData.entries.forEach((entry) => {
-                    const row = document.createElement('tr');
-
-                    // Add rank emoji for top 3
-                    let rankDisplay = `${entry.rank}`;
-                    if (entry.rank === 1) rankDisplay = `🥇 ${entry.rank}`;
-                    else if (entry.rank === 2) rankDisplay = `🥈 ${entry.rank}`;
-                    else if (entry.rank === 3) rankDisplay = `🥉 ${entry.rank}`;
-
-                    // Get player name
-                    let playerName = entry.player.publicName;
-                    if (!playerName || playerName.trim() === '') {
-                        playerName = 'Anonymous Player';
-                    }
-
-                    // Highlight current player
-                    const isCurrentPlayer = this.player && entry.player.uniqueID === this.player.getUniqueID();
-
-                    row.innerHTML = `
-                        <td>${rankDisplay}</td>
-                        <td>${playerName}${isCurrentPlayer ? ' (You)' : ''}</td>
-                        <td>${entry.score}</td>
-                    `;
-
-                    if (isCurrentPlayer) {
-                        row.classList.add('current-player');
-                    }
-
-                    tbody.appendChild(row);
-                });
-
-                table.appendChild(tbody);
-
-                // Clear loading message and append table
-                globalLeaderboardDiv.innerHTML = '';
-                globalLeaderboardDiv.appendChild(table);
-
-                console.log('Leaderboard displayed successfully');
-                return true;
-            } catch (error) {
-                // Handle "leaderboard not found" error gracefully
-                if (error.message && error.message.includes('not found')) {
-                    globalLeaderboardDiv.innerHTML = `
-                        <div class="no-scores-message">
-                            <p>The leaderboard hasn't been created yet.</p>
-                            <p>Play a game and score some points to create it!</p>
-                        </div>
-                    `;
-                    return true;
-                }
+    /**
+     * Get the avatar of a player on a leaderboard
+     * @param {Object} entryPlayer - Player of a leaderboard entry (entry.player)
+     * @param {string} size - 'small', 'medium' or 'large'
+     * @returns {string|null} Image URL, or null if the player doesn't share an avatar
+     */
+    getAvatarUrl(entryPlayer, size = 'small') {
+        if (!entryPlayer || typeof entryPlayer.getAvatarSrc !== 'function') return null;
+        if (entryPlayer.scopePermissions && entryPlayer.scopePermissions.avatar !== 'allow') return null;
+        return entryPlayer.getAvatarSrc(size) || null;
+    }
 
-                throw error; // Re-throw other errors
-            }
-        } catch (error) {
-            console.error('Error displaying leaderboard:', error);
-
-            // Show error message
-            const globalLeaderboardDiv = document.getElementById('global-leaderboard');
-            if (globalLeaderboardDiv) {
-                globalLeaderboardDiv.innerHTML = `
-                    <div class="error-message">
-                        <p>Could not load global leaderboard data.</p>
-                        <p>Error: ${error.message || 'Unknown error'}</p>
-                    </div>
-                `;
-            }
+    /**
+     * @returns {string|null} Unique id of the player, used to find their own leaderboard entries
+     */
+    getPlayerId() {
+        return this.player ? this.player.getUniqueID() : null;
+    }
 
-            throw error; // Re-throw to allow proper handling
-        }
+    /**
+     * Check whether the player is logged in to a Yandex account
+     * @returns {boolean} True for authorized players
+     */
+    isPlayerAuthorized() {
+        return this.initialized && !!this.player && this.player.getMode() !== 'lite';
     }
 
     // Get player data
@@ -343,10 +258,41 @@ export class YandexSDK {
         }
     }
     /**
- * Get the player's current score in the leaderboard
- * @returns {Promise<number|null>} The player's current score or null if not found
- */
-    async getPlayerLeaderboardScore() {
+     * Show a rewarded video
+     * @returns {Promise<boolean>} True if the player watched long enough for the reward
+     */
+    async showRewardedAd() {
+        if (!this.initialized || !this.ysdk) {
+            console.warn('Cannot show rewarded ad: SDK not initialized');
+            return false;
+        }
+
+        const adv = this.adv || this.ysdk.adv;
+        if (!adv) return false;
+
+        return new Promise((resolve) => {
+            let rewarded = false;
+            adv.showRewardedVideo({
+                callbacks: {
+                    onRewarded: () => {
+                        rewarded = true;
+                    },
+                    onClose: () => resolve(rewarded),
+                    onError: (error) => {
+                        console.error('Error showing rewarded ad:', error);
+                        resolve(false);
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Get the player's own entry in a leaderboard
+     * @param {string} leaderboardName - Leaderboard to look in
+     * @returns {Promise<{score: number, extraData: string}|null>} The player's entry or null if not found
+     */
+    async getPlayerLeaderboardEntry(leaderboardName = this.leaderboardName) {
         if (!this.initialized || !this.ysdk || !this.leaderboard) {
             console.warn('Cannot get player score: SDK not initialized or leaderboard not available');
             return null;
@@ -355,10 +301,10 @@ export class YandexSDK {
         try {
             // Try to get player entry
             try {
-                const playerEntry = await this.leaderboard.getLeaderboardPlayerEntry(this.leaderboardName);
+                const playerEntry = await this.leaderboard.getLeaderboardPlayerEntry(leaderboardName);
                 if (playerEntry && typeof playerEntry.score === 'number') {
                     console.log(`Found player's leaderboard score: ${playerEntry.score}`);
-                    return playerEntry.score;
+                    return { score: playerEntry.score, extraData: playerEntry.extraData || '' };
                 }
                 return null; // No score found
             } catch (error) {
@@ -377,6 +323,38 @@ export class YandexSDK {
             throw error; // Re-throw to allow proper handling in the calling method
         }
     }
+
+    /**
+     * Report gameplay start to the SDK's GameplayAPI, once per stretch of play
+     */
+    gameplayStart() {
+        if (this.gameplayActive) return;
+        super.gameplayStart();
+        this.callGameplayApi('start');
+    }
+
+    /**
+     * Report gameplay stop to the SDK's GameplayAPI
+     */
+    gameplayStop() {
+        if (!this.gameplayActive) return;
+        super.gameplayStop();
+        this.callGameplayApi('stop');
+    }
+
+    /**
+     * @param {string} method - 'start' or 'stop'
+     */
+    callGameplayApi(method) {
+        const features = this.initialized && this.ysdk && this.ysdk.features;
+        if (!features || !features.GameplayAPI) return;
+
+        try {
+            features.GameplayAPI[method]();
+        } catch (error) {
+            console.warn(`Error calling GameplayAPI.${method}:`, error);
+        }
+    }
 }
 
 // TODO add flex leaderboard and settings buttons
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Seedable pseudo-random number generator
+ * Every random decision in a game goes through one SeededRandom instance,
+ * so the same seed always reproduces the same spawn sequence.
+ */
+
+const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Convert a number or text seed into an unsigned 32-bit integer
+ * @param {number|string} seed - Seed as entered by the player or stored with a game
+ * @returns {number} Normalized seed
+ */
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.abs(Math.floor(seed)) % (MAX_SEED + 1);
+    }
+
+    const text = String(seed ?? '').trim();
+
+    // Plain numbers are used as-is so seeds shown in the UI can be typed back in
+    if (/^\d+$/.test(text)) {
+        return Number(text) % (MAX_SEED + 1);
+    }
+
+    // Hash any other text (FNV-1a)
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Generate a fresh seed for a new game
+ * @returns {number} Random unsigned 32-bit seed
+ */
+export function generateSeed() {
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * MAX_SEED);
+}
+
+export class SeededRandom {
+    /**
+     * Create a generator
+     * @param {number|string} seed - Seed for the sequence
+     */
+    constructor(seed = generateSeed()) {
+        this.seed = normalizeSeed(seed);
+        this.state = this.seed;
+
+        // Allow passing rng.next around as a plain random function
+        this.next = this.next.bind(this);
+    }
+
+    /**
+     * Get the next random float (mulberry32)
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get the internal position in the sequence
+     * @returns {number} Generator state
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restore a position previously returned by getState
+     * @param {number} state - Generator state
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * Game replay recording
+ * A replay is the starting position plus a timestamped list of actions.
+ * Spawns are recorded with their cell and value, so playback never needs the RNG.
+ */
+import { applyMerge, placeDie } from './engine.js';
+
+export const REPLAY_VERSION = 1;
+
+/**
+ * Records the actions of one game
+ */
+export class ReplayRecorder {
+    constructor() {
+        this.replay = null;
+    }
+
+    /**
+     * Start recording a game
+     * @param {Object} state - Engine state the recording starts from
+     * @param {Object} info - Extra game information
+     * @param {string} info.mode - Game mode
+     */
+    start(state, { mode = 'endless' } = {}) {
+        this.replay = {
+            version: REPLAY_VERSION,
+            seed: state.seed,
+            mode,
+            rules: state.rules,
+            start: state,
+            startedAt: Date.now(),
+            actions: []
+        };
+    }
+
+    /**
+     * Continue recording a replay restored from a saved game
+     * @param {Object} replay - Replay to continue
+     */
+    resume(replay) {
+        this.replay = replay;
+    }
+
+    /**
+     * Append an action with the time elapsed since the start of the game
+     * @param {Object} action - Action without timestamp
+     * @param {number} now - Time of the action in milliseconds
+     */
+    record(action, now = Date.now()) {
+        if (!this.replay) return;
+        this.replay.actions.push({ t: now - this.replay.startedAt, ...action });
+    }
+
+    /**
+     * @param {number} from - Index of the source die
+     * @param {number} to - Index of the target die
+     * @param {number} now - Time of the merge, the same one the merge was scored with
+     */
+    recordMerge(from, to, now = Date.now()) {
+        this.record({ type: 'merge', from, to }, now);
+    }
+
+    /**
+     * @param {number} index - Index of the cell
+     * @param {number} value - Die value
+     */
+    recordSpawn(index, value) {
+        this.record({ type: 'spawn', index, value });
+    }
+
+    recordUndo() {
+        this.record({ type: 'undo' });
+    }
+
+    recordRedo() {
+        this.record({ type: 'redo' });
+    }
+}
+
+/**
+ * Replay a recording through the rules engine
+ * Merges are scored at their recorded times, so combos come out as they did in the game.
+ * @param {Object} replay - Recorded replay
+ * @returns {Array<{state: Object, action: Object|null}>} One frame per action, after the
+ *          starting frame; each holds the position after its action
+ * @throws {Error} If an action is illegal in the position it was recorded in
+ */
+export function computeReplayFrames(replay) {
+    let state = replay.start;
+    const frames = [{ state, action: null }];
+
+    // Positions that undo/redo move between
+    const undoStack = [];
+    const redoStack = [];
+
+    replay.actions.forEach((action, index) => {
+        switch (action.type) {
+            case 'merge': {
+                const result = applyMerge(state, action.from, action.to, { now: action.t });
+                if (!result) {
+                    throw new Error(`Illegal merge at action ${index}`);
+                }
+                undoStack.push(state);
+                redoStack.length = 0;
+                state = result.state;
+                break;
+            }
+            case 'spawn':
+                if (state.board[action.index] !== null) {
+                    throw new Error(`Spawn on an occupied cell at action ${index}`);
+                }
+                undoStack.push(state);
+                redoStack.length = 0;
+                state = placeDie(state, action.index, action.value);
+                break;
+            case 'undo':
+                if (undoStack.length === 0) {
+                    throw new Error(`Nothing to undo at action ${index}`);
+                }
+                redoStack.push(state);
+                state = undoStack.pop();
+                break;
+            case 'redo':
+                if (redoStack.length === 0) {
+                    throw new Error(`Nothing to redo at action ${index}`);
+                }
+                undoStack.push(state);
+                state = redoStack.pop();
+                break;
+            default:
+                throw new Error(`Unknown action "${action.type}" at action ${index}`);
+        }
+
+        frames.push({ state, action });
+    });
+
+    return frames;
+}
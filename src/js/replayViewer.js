@@ -0,0 +1,210 @@
+/**
+ * Replay viewer
+ * Plays a recorded game back on the main board with play/pause, step and speed controls.
+ */
+import { computeReplayFrames } from './replay';
+
+export class ReplayViewer {
+    /**
+     * @param {Game} game - Game whose board and UI are used for playback
+     */
+    constructor(game) {
+        this.game = game;
+        this.ui = game.ui;
+
+        this.frames = [];
+        this.position = 0;
+        this.playing = false;
+        this.speed = 1;
+        this.timer = null;
+        this.active = false;
+        this.onClose = null;
+
+        // Longest pause between two actions at 1x speed, so idle time doesn't stall playback
+        this.maxDelay = 1500;
+        this.minDelay = 150;
+
+        // DOM elements
+        this.controls = document.getElementById('replay-controls');
+        this.gameControls = document.querySelector('.game-controls');
+        this.playBtn = document.getElementById('replay-play-btn');
+        this.progress = document.getElementById('replay-progress');
+    }
+
+    /**
+     * Set up the playback controls
+     */
+    setupControls() {
+        this.playBtn.addEventListener('click', () => this.togglePlay());
+        document.getElementById('replay-step-btn').addEventListener('click', () => {
+            this.pause();
+            this.step();
+        });
+        document.getElementById('replay-step-back-btn').addEventListener('click', () => {
+            this.pause();
+            this.stepBack();
+        });
+        document.getElementById('replay-close-btn').addEventListener('click', () => this.close());
+
+        const speedSelect = document.getElementById('replay-speed-select');
+        speedSelect.addEventListener('change', () => {
+            this.speed = Number(speedSelect.value);
+        });
+    }
+
+    /**
+     * Start watching a replay
+     * @param {Object} replay - Recorded replay
+     * @param {Function} onClose - Called when the viewer is closed
+     * @returns {boolean} True if the replay could be played
+     */
+    open(replay, onClose = null) {
+        try {
+            this.frames = computeReplayFrames(replay);
+        } catch (error) {
+            console.error('Replay is corrupted:', error);
+            return false;
+        }
+
+        this.active = true;
+        this.onClose = onClose;
+        this.position = 0;
+
+        // Playback may use a different board size than the current game
+        this.ui.createBoardCells(replay.start.boardSize);
+        this.ui.renderBoard(this.frames[0].state.board);
+
+        this.controls.style.display = 'flex';
+        if (this.gameControls) this.gameControls.style.display = 'none';
+
+        this.updateControls();
+        this.play();
+        return true;
+    }
+
+    /**
+     * Stop watching and put the current game back on the board
+     * @param {boolean} notify - Call the onClose callback; false when a new game takes over the board
+     */
+    close(notify = true) {
+        if (!this.active) return;
+
+        this.pause();
+        this.active = false;
+        this.frames = [];
+
+        this.controls.style.display = 'none';
+        if (this.gameControls) this.gameControls.style.display = '';
+
+        this.ui.createBoardCells();
+        this.ui.renderBoard(this.game.board);
+        this.ui.updateScore(this.game.score, this.game.highestDie);
+
+        const onClose = this.onClose;
+        this.onClose = null;
+        if (onClose && notify) onClose();
+    }
+
+    play() {
+        // Restart from the beginning if the replay already finished
+        if (this.position >= this.frames.length - 1) {
+            this.showFrame(0);
+        }
+
+        this.playing = true;
+        this.updateControls();
+        this.scheduleNext();
+    }
+
+    pause() {
+        this.playing = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.updateControls();
+    }
+
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Wait as long as the player did (scaled by speed) before showing the next action
+     */
+    scheduleNext() {
+        clearTimeout(this.timer);
+        if (!this.playing) return;
+
+        if (this.position >= this.frames.length - 1) {
+            this.pause();
+            return;
+        }
+
+        const current = this.frames[this.position].action;
+        const next = this.frames[this.position + 1].action;
+        const elapsed = next.t - (current ? current.t : next.t);
+        const delay = Math.min(this.maxDelay, Math.max(this.minDelay, elapsed)) / this.speed;
+
+        this.timer = setTimeout(() => {
+            this.step();
+            this.scheduleNext();
+        }, delay);
+    }
+
+    /**
+     * Show the next action
+     */
+    step() {
+        if (this.position < this.frames.length - 1) {
+            this.showFrame(this.position + 1, true);
+        }
+    }
+
+    /**
+     * Go back one action
+     */
+    stepBack() {
+        if (this.position > 0) {
+            this.showFrame(this.position - 1);
+        }
+    }
+
+    /**
+     * Render one frame of the replay
+     * @param {number} index - Frame index
+     * @param {boolean} animate - Animate the action leading to the frame instead of redrawing the board
+     */
+    showFrame(index, animate = false) {
+        const { state, action } = this.frames[index];
+        this.position = index;
+
+        if (animate && action && action.type === 'merge') {
+            // Redraw everything, since bombs and stones can empty other cells too
+            this.ui.renderBoard(state.board);
+            this.ui.animateMerge(action.to);
+        } else if (animate && action && action.type === 'spawn') {
+            this.ui.renderDie(action.index, action.value);
+            this.ui.animateNew(action.index);
+        } else {
+            this.ui.renderBoard(state.board);
+        }
+
+        this.ui.updateScore(state.score, state.highestDie);
+        this.updateControls();
+    }
+
+    /**
+     * Update the play button and progress counter
+     */
+    updateControls() {
+        if (this.playBtn) {
+            this.playBtn.textContent = this.playing ? '⏸' : '▶';
+        }
+        if (this.progress) {
+            this.progress.textContent = `${this.position} / ${Math.max(0, this.frames.length - 1)}`;
+        }
+    }
+}
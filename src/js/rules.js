@@ -0,0 +1,99 @@
+/**
+ * Game rule options shared by the controller, the UI and headless tools
+ * Plain data only, so this module can be imported from Node as well.
+ */
+import { SPAWN_PRESETS, DEFAULT_SPAWN_PRESET } from './spawnTables.js';
+
+/**
+ * Supported board sizes and their defaults
+ * Bigger boards start with more dice so the opening isn't empty.
+ */
+export const BOARD_SIZES = {
+    4: { initialDice: 2 },
+    5: { initialDice: 3 },
+    6: { initialDice: 4 },
+    7: { initialDice: 6 },
+    8: { initialDice: 8 }
+};
+
+export const DEFAULT_BOARD_SIZE = 5;
+
+/**
+ * Which dice may be merged with each other
+ * - anywhere: any two equal dice on the board
+ * - orthogonal: equal dice sharing a side
+ * - eight-neighbour: equal dice sharing a side or a corner
+ */
+export const MERGE_RULES = ['anywhere', 'orthogonal', 'eight-neighbour'];
+
+export const DEFAULT_MERGE_RULE = 'anywhere';
+
+/**
+ * Dice spawned automatically after every merge
+ * - 0: none, the player adds dice with the Add Dice button
+ * - 1 or 2: Classic Turn, every merge is followed by that many spawns and there is no Add Dice button
+ */
+export const AUTO_SPAWN_COUNTS = [0, 1, 2];
+
+export const DEFAULT_AUTO_SPAWN = 0;
+
+/**
+ * Build the rule set of a game, filling in defaults
+ * @param {Object} rules - Partial rule set
+ * @param {string} rules.mergeRule - One of MERGE_RULES
+ * @param {string} rules.spawnPreset - Difficulty, one of SPAWN_PRESETS
+ * @param {number} rules.autoSpawn - Dice spawned after every merge, one of AUTO_SPAWN_COUNTS
+ * @returns {Object} Complete rule set
+ */
+export function createRules({
+    mergeRule = DEFAULT_MERGE_RULE,
+    spawnPreset = DEFAULT_SPAWN_PRESET,
+    autoSpawn = DEFAULT_AUTO_SPAWN
+} = {}) {
+    return {
+        mergeRule: MERGE_RULES.includes(mergeRule) ? mergeRule : DEFAULT_MERGE_RULE,
+        spawnPreset: SPAWN_PRESETS.includes(spawnPreset) ? spawnPreset : DEFAULT_SPAWN_PRESET,
+        autoSpawn: AUTO_SPAWN_COUNTS.includes(autoSpawn) ? autoSpawn : DEFAULT_AUTO_SPAWN
+    };
+}
+
+/**
+ * Check whether a board size is supported
+ * @param {number} boardSize - Width and height of the board
+ * @returns {boolean} True if supported
+ */
+export function isValidBoardSize(boardSize) {
+    return Object.prototype.hasOwnProperty.call(BOARD_SIZES, boardSize);
+}
+
+/**
+ * Get the number of dice placed when a game starts
+ * @param {number} boardSize - Width and height of the board
+ * @returns {number} Number of initial dice
+ */
+export function getInitialDice(boardSize) {
+    return (BOARD_SIZES[boardSize] || BOARD_SIZES[DEFAULT_BOARD_SIZE]).initialDice;
+}
+
+/**
+ * Get the key under which scores of a game are ranked, so different
+ * modes, board sizes, merge rules, difficulties and turn rules never compete with each other
+ * @param {Object} options - Game options
+ * @param {string} options.mode - Game mode
+ * @param {number} options.boardSize - Width and height of the board
+ * @param {string} options.mergeRule - Merge rule
+ * @param {string} options.spawnPreset - Difficulty
+ * @param {number} options.autoSpawn - Dice spawned after every merge
+ * @returns {string} Score category key
+ */
+export function getScoreCategory({
+    mode = 'endless',
+    boardSize = DEFAULT_BOARD_SIZE,
+    mergeRule = DEFAULT_MERGE_RULE,
+    spawnPreset = DEFAULT_SPAWN_PRESET,
+    autoSpawn = DEFAULT_AUTO_SPAWN
+}) {
+    // Scores saved before Classic Turn existed keep their key
+    const turn = autoSpawn ? `-auto${autoSpawn}` : '';
+    return `${mode}-${boardSize}-${mergeRule}-${spawnPreset}${turn}`;
+}
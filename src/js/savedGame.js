@@ -0,0 +1,102 @@
+/**
+ * Saving and resuming an in-progress game
+ * The game is saved to localStorage after every move and mirrored to
+ * the platform's player data when the player is signed in.
+ */
+import { saveToLocalStorage, loadFromLocalStorage, removeFromLocalStorage } from './utils';
+
+const STORAGE_KEY = 'diceSavedGame';
+const SAVE_VERSION = 1;
+
+export class SavedGameStore {
+    /**
+     * @param {Platform} platform - Platform used for the cloud copy
+     */
+    constructor(platform) {
+        this.platform = platform;
+        this.pendingCloudSave = null;
+        this.cloudSaveTimer = null;
+        this.cloudSaveDelay = 5000; // Batch cloud writes, the SDK rate-limits setData
+    }
+
+    /**
+     * Save the current game
+     * @param {Object} data - Game data (engine state, RNG state, mode...)
+     */
+    save(data) {
+        const savedGame = { ...data, version: SAVE_VERSION, savedAt: Date.now() };
+        saveToLocalStorage(STORAGE_KEY, savedGame);
+        this.scheduleCloudSave(savedGame);
+    }
+
+    /**
+     * Forget the saved game (when it's over)
+     */
+    clear() {
+        removeFromLocalStorage(STORAGE_KEY);
+        this.scheduleCloudSave(null);
+    }
+
+    /**
+     * Load the most recent saved game from localStorage or the cloud
+     * @returns {Promise<Object|null>} Saved game or null if there is nothing to resume
+     */
+    async load() {
+        const localGame = this.validate(loadFromLocalStorage(STORAGE_KEY, null));
+
+        let cloudGame = null;
+        if (this.platform.isPlayerAuthorized()) {
+            const data = await this.platform.getPlayerData();
+            cloudGame = this.validate(data && data.savedGame);
+        }
+
+        if (!localGame) return cloudGame;
+        if (!cloudGame) return localGame;
+        return cloudGame.savedAt > localGame.savedAt ? cloudGame : localGame;
+    }
+
+    /**
+     * Check that a saved game can be resumed by this version of the game
+     * @param {Object|null} savedGame - Saved game to check
+     * @returns {Object|null} The saved game, or null if it's missing or incompatible
+     */
+    validate(savedGame) {
+        if (!savedGame || savedGame.version !== SAVE_VERSION) return null;
+        if (!savedGame.state || !Array.isArray(savedGame.state.board)) return null;
+        if (savedGame.mode === 'puzzle' && !savedGame.level) return null;
+        return savedGame;
+    }
+
+    /**
+     * Queue a cloud write; only the latest save is sent
+     * @param {Object|null} savedGame - Saved game, or null to remove it
+     */
+    scheduleCloudSave(savedGame) {
+        if (!this.platform.isPlayerAuthorized()) return;
+
+        // The replay can grow past the player data size limit, so it stays local
+        let cloudGame = null;
+        if (savedGame) {
+            const { replay, ...rest } = savedGame;
+            cloudGame = rest;
+        }
+
+        this.pendingCloudSave = { savedGame: cloudGame };
+        if (!this.cloudSaveTimer) {
+            this.cloudSaveTimer = setTimeout(() => this.flush(), this.cloudSaveDelay);
+        }
+    }
+
+    /**
+     * Send a queued cloud write right away (e.g. when the page is hidden)
+     */
+    flush() {
+        clearTimeout(this.cloudSaveTimer);
+        this.cloudSaveTimer = null;
+
+        if (!this.pendingCloudSave) return;
+
+        this.platform.updatePlayerData(this.pendingCloudSave);
+        this.pendingCloudSave = null;
+    }
+}
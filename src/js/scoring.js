@@ -0,0 +1,80 @@
+/**
+ * Scoring rules
+ * A merge is worth twice the new die's value, multiplied by the current combo,
+ * plus a streak bonus for merging the same value several times in a row and a
+ * board clear bonus for bringing a well-filled board down to a few pieces.
+ * Pure functions over plain data, so scores replay identically in the viewer and in Node.
+ */
+
+export const SCORING_RULES = {
+    comboWindow: 3000,       // Milliseconds between merges that keep a combo going
+    maxMultiplier: 5,        // Highest combo multiplier
+    streakBonus: 0.5,        // Extra share of the base points per repeat of the same value
+    boardClearThreshold: 2,  // Pieces left on the board that count as a clear
+    boardClearRefill: 0.5,   // Share of the cells a merge must start from before the next clear counts
+    boardClearBonus: 50      // Points for a board clear, times the board size
+};
+
+/**
+ * Create the scoring state of a new game
+ * clearArmed is set once a merge starts from a board filled to boardClearRefill, and spent by a clear.
+ * @returns {{combo: number, lastMergeAt: number|null, streakValue: number|null, streak: number, clearArmed: boolean}} Scoring state
+ */
+export function createScoringState() {
+    return {
+        combo: 0,
+        lastMergeAt: null,
+        streakValue: null,
+        streak: 0,
+        clearArmed: false
+    };
+}
+
+/**
+ * Score one merge
+ * @param {Object} scoring - Scoring state before the merge (see createScoringState)
+ * @param {Object} merge - Merge details
+ * @param {number} merge.value - Value of the new die
+ * @param {number|undefined} merge.now - Time of the merge in milliseconds; without it combos don't build up
+ * @param {number} merge.piecesBefore - Pieces on the board before the merge
+ * @param {number} merge.piecesAfter - Pieces on the board after the merge
+ * @param {number} merge.boardSize - Width and height of the board
+ * @param {Object} rules - See SCORING_RULES
+ * @returns {{points: number, basePoints: number, multiplier: number, streak: number, streakBonus: number, clearBonus: number, scoring: Object}}
+ *          Points and how they add up, and the new scoring state
+ */
+export function scoreMerge(scoring = createScoringState(), { value, now, piecesBefore, piecesAfter, boardSize }, rules = SCORING_RULES) {
+    const basePoints = value * 2;
+
+    // Quick merges build up a combo, a pause starts over
+    const elapsed = now !== undefined && scoring.lastMergeAt !== null ? now - scoring.lastMergeAt : -1;
+    const inCombo = elapsed >= 0 && elapsed <= rules.comboWindow;
+    const combo = inCombo ? scoring.combo + 1 : 1;
+    const multiplier = Math.min(combo, rules.maxMultiplier);
+
+    // Merges creating the same value one after another
+    const streak = scoring.streakValue === value ? scoring.streak + 1 : 1;
+    const streakBonus = Math.round(basePoints * rules.streakBonus * (streak - 1));
+
+    // A clear only counts once per refill: the board has to be filled to boardClearRefill between
+    // clears, so the opening dice or adding one die and merging it back down never pay the bonus
+    const armed = !!scoring.clearArmed || piecesBefore >= Math.ceil(boardSize * boardSize * rules.boardClearRefill);
+    const cleared = armed && piecesBefore > rules.boardClearThreshold && piecesAfter <= rules.boardClearThreshold;
+    const clearBonus = cleared ? rules.boardClearBonus * boardSize : 0;
+
+    return {
+        points: basePoints * multiplier + streakBonus + clearBonus,
+        basePoints,
+        multiplier,
+        streak,
+        streakBonus,
+        clearBonus,
+        scoring: {
+            combo,
+            lastMergeAt: now !== undefined ? now : null,
+            streakValue: value,
+            streak,
+            clearArmed: armed && !cleared
+        }
+    };
+}
@@ -0,0 +1,86 @@
+/**
+ * Spawn tables
+ * A table lists stages; each stage weights the die values that can spawn and
+ * applies once the game reaches its highestDie or moveCount threshold.
+ * The last stage whose thresholds are all met is used.
+ * A stage may also list special pieces (see pieces.js) with the percentage of
+ * spawns that are that piece instead of a plain die.
+ * Plain data only, so this module can be imported from Node as well.
+ */
+
+export const SPAWN_TABLES = {
+    // More 2s from the start, and bigger dice soon after
+    easy: [
+        { weights: { 1: 55, 2: 45 } },
+        { minHighestDie: 6, weights: { 1: 35, 2: 45, 3: 20 }, specials: { wildcard: 5, bomb: 3 } },
+        { minHighestDie: 9, weights: { 2: 45, 3: 35, 4: 20 }, specials: { wildcard: 6, bomb: 4, stone: 1 } }
+    ],
+    // The original 70/30 odds, phasing out late-game 1s
+    normal: [
+        { weights: { 1: 70, 2: 30 } },
+        { minMoveCount: 20, weights: { 1: 70, 2: 30 }, specials: { wildcard: 3, bomb: 2, stone: 3 } },
+        { minHighestDie: 8, weights: { 1: 50, 2: 35, 3: 15 }, specials: { wildcard: 3, bomb: 3, stone: 4 } },
+        {
+            minHighestDie: 10,
+            minMoveCount: 150,
+            weights: { 1: 25, 2: 40, 3: 25, 4: 10 },
+            specials: { wildcard: 3, bomb: 3, stone: 5 }
+        }
+    ],
+    // Mostly 1s, with stray bigger dice cluttering the board as the game goes on
+    hard: [
+        { weights: { 1: 80, 2: 20 }, specials: { stone: 4 } },
+        { minMoveCount: 60, weights: { 1: 70, 2: 20, 3: 7, 4: 3 }, specials: { wildcard: 1, bomb: 2, stone: 7 } },
+        { minMoveCount: 200, weights: { 1: 60, 2: 20, 3: 10, 4: 6, 5: 4 }, specials: { wildcard: 1, bomb: 2, stone: 9 } }
+    ]
+};
+
+export const SPAWN_PRESETS = Object.keys(SPAWN_TABLES);
+
+export const DEFAULT_SPAWN_PRESET = 'normal';
+
+/** Most upcoming dice each difficulty lets players preview; on hard every spawn stays a surprise */
+export const PREVIEW_LIMITS = {
+    easy: 3,
+    normal: 3,
+    hard: 0
+};
+
+/**
+ * Get the stage of a spawn table that applies to a game
+ * @param {Array<Object>} table - Spawn table
+ * @param {Object} progress - Game progress
+ * @param {number} progress.highestDie - Highest die reached
+ * @param {number} progress.moveCount - Merges made
+ * @returns {{weights: Object<number, number>, specials: Object<string, number>|undefined}}
+ *          Weight per die value, and percentage per special piece
+ */
+export function getSpawnStage(table, { highestDie = 1, moveCount = 0 }) {
+    let current = table[0];
+
+    table.forEach(stage => {
+        if (highestDie >= (stage.minHighestDie || 0) && moveCount >= (stage.minMoveCount || 0)) {
+            current = stage;
+        }
+    });
+
+    return current;
+}
+
+/**
+ * Pick a die value from a set of weights
+ * @param {Object<number, number>} weights - Weight per die value
+ * @param {Function} random - Random source returning a float in [0, 1)
+ * @returns {number} Die value
+ */
+export function pickWeighted(weights, random) {
+    const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+    let roll = random() * total;
+    for (const [value, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return Number(value);
+    }
+    return Number(entries[entries.length - 1][0]);
+}
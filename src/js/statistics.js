@@ -0,0 +1,110 @@
+/**
+ * Lifetime statistics
+ * Totals over every game played, kept in localStorage and backed up to the platform's player data.
+ */
+import { saveToLocalStorage, loadFromLocalStorage } from './utils';
+
+const STORAGE_KEY = 'diceStatistics';
+
+/**
+ * @returns {Object} Statistics of a player who hasn't played yet
+ */
+function createStatistics() {
+    return {
+        gamesPlayed: 0,
+        totalScore: 0,
+        bestScore: 0,
+        totalDuration: 0, // Milliseconds over finished games
+        totalMoves: 0, // Merges over finished games
+        totalMerges: 0, // Merges over every game, finished or not
+        diceAdded: 0, // Dice the player added with Add Dice
+        highestDie: {}, // Finished games per highest die reached
+        merges: {} // Merges per die value made
+    };
+}
+
+export class Statistics {
+    /**
+     * @param {Platform} platform - Platform used for the cloud backup
+     */
+    constructor(platform) {
+        this.platform = platform;
+        this.stats = { ...createStatistics(), ...loadFromLocalStorage(STORAGE_KEY, {}) };
+    }
+
+    /**
+     * Take the backup in player data if it has seen more play than this device
+     */
+    async syncFromCloud() {
+        const data = await this.platform.getPlayerData();
+        const cloudStats = data && data.stats;
+        if (!cloudStats) return;
+
+        if (cloudStats.gamesPlayed > this.stats.gamesPlayed ||
+            (cloudStats.gamesPlayed === this.stats.gamesPlayed && cloudStats.totalMerges > this.stats.totalMerges)) {
+            this.stats = { ...createStatistics(), ...cloudStats };
+            saveToLocalStorage(STORAGE_KEY, this.stats);
+        }
+    }
+
+    /**
+     * @param {number} value - Value of the die a merge made
+     */
+    recordMerge(value) {
+        this.stats = {
+            ...this.stats,
+            totalMerges: this.stats.totalMerges + 1,
+            merges: { ...this.stats.merges, [value]: (this.stats.merges[value] || 0) + 1 }
+        };
+        saveToLocalStorage(STORAGE_KEY, this.stats);
+    }
+
+    /**
+     * @param {string} source - What put the die on the board: 'player' for Add Dice, 'opening',
+     *        'timer' or 'turn' for the dice the game spawns itself, which aren't counted
+     */
+    recordSpawn(source) {
+        if (source !== 'player') return;
+
+        this.stats = { ...this.stats, diceAdded: this.stats.diceAdded + 1 };
+        saveToLocalStorage(STORAGE_KEY, this.stats);
+    }
+
+    /**
+     * Record a finished game and back the totals up to the cloud
+     * @param {Object} game - Result of the game
+     * @param {number} game.score - Final score
+     * @param {number} game.highestDie - Highest die reached
+     * @param {number} game.moves - Merges made
+     * @param {number} game.duration - Length of the game in milliseconds
+     */
+    recordGame({ score, highestDie, moves, duration }) {
+        const { stats } = this;
+        this.stats = {
+            ...stats,
+            gamesPlayed: stats.gamesPlayed + 1,
+            totalScore: stats.totalScore + score,
+            bestScore: Math.max(stats.bestScore, score),
+            totalDuration: stats.totalDuration + duration,
+            totalMoves: stats.totalMoves + moves,
+            highestDie: { ...stats.highestDie, [highestDie]: (stats.highestDie[highestDie] || 0) + 1 }
+        };
+        saveToLocalStorage(STORAGE_KEY, this.stats);
+        this.platform.updatePlayerData({ stats: this.stats });
+    }
+
+    /**
+     * Get the figures shown on the statistics screen
+     * @returns {Object} Totals, plus averages per finished game (0 before the first one)
+     */
+    getSummary() {
+        const { stats } = this;
+        const games = stats.gamesPlayed;
+        return {
+            ...stats,
+            averageScore: games > 0 ? Math.round(stats.totalScore / games) : 0,
+            averageDuration: games > 0 ? stats.totalDuration / games : 0,
+            averageMoves: games > 0 ? Math.round(stats.totalMoves / games) : 0
+        };
+    }
+}
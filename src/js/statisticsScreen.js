@@ -0,0 +1,117 @@
+/**
+ * Statistics screen
+ * Lifetime totals and averages, with bar charts of the highest die per game and of merges per die value.
+ */
+import { formatCountdown } from './daily';
+
+/**
+ * Draw a horizontal bar chart
+ * @param {HTMLElement} container - Element to draw into
+ * @param {Object<number, number>} counts - Count per die value
+ */
+function renderBars(container, counts) {
+    container.innerHTML = '';
+
+    const values = Object.keys(counts).map(Number).sort((a, b) => a - b);
+    const most = Math.max(1, ...values.map(value => counts[value]));
+
+    values.forEach(value => {
+        const row = document.createElement('div');
+        row.className = 'stats-bar-row';
+
+        const label = document.createElement('span');
+        label.className = 'stats-bar-label';
+        label.textContent = value;
+
+        const bar = document.createElement('span');
+        bar.className = 'stats-bar';
+        bar.style.width = `${(counts[value] / most) * 100}%`;
+
+        const track = document.createElement('span');
+        track.className = 'stats-bar-track';
+        track.appendChild(bar);
+
+        const count = document.createElement('span');
+        count.className = 'stats-bar-count';
+        count.textContent = counts[value];
+
+        row.append(label, track, count);
+        container.appendChild(row);
+    });
+}
+
+export class StatisticsScreen {
+    /**
+     * @param {Game} game - Game whose statistics are shown
+     */
+    constructor(game) {
+        this.game = game;
+
+        // DOM elements
+        this.modal = document.getElementById('statistics-screen');
+        this.summary = document.getElementById('stats-summary');
+        this.highestDieChart = document.getElementById('stats-highest-die');
+        this.mergesChart = document.getElementById('stats-merges');
+        this.emptyMessage = document.getElementById('stats-empty');
+    }
+
+    /**
+     * Set up the open and close buttons
+     */
+    setupControls() {
+        document.getElementById('statistics-btn').addEventListener('click', () => {
+            document.getElementById('settings-menu').style.display = 'none';
+            this.open();
+        });
+        document.getElementById('close-statistics').addEventListener('click', () => this.close());
+
+        // Close when clicking outside the statistics
+        this.modal.addEventListener('click', (event) => {
+            if (event.target === this.modal) this.close();
+        });
+    }
+
+    open() {
+        this.render();
+        this.modal.style.display = 'flex';
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    /**
+     * Fill in the figures and charts
+     */
+    render() {
+        const { localization } = this.game;
+        const stats = this.game.statistics.getSummary();
+
+        const figures = [
+            ['stats_games_played', stats.gamesPlayed],
+            ['stats_average_score', stats.averageScore],
+            ['stats_best_score', stats.bestScore],
+            ['stats_average_length', localization.get('stats_length_value', {
+                time: formatCountdown(stats.averageDuration),
+                moves: stats.averageMoves
+            })],
+            ['stats_total_merges', stats.totalMerges],
+            ['stats_dice_added', stats.diceAdded]
+        ];
+
+        this.summary.innerHTML = '';
+        figures.forEach(([key, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = localization.get(key);
+
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+
+            this.summary.append(term, detail);
+        });
+
+        renderBars(this.highestDieChart, stats.highestDie);
+        renderBars(this.mergesChart, stats.merges);
+        this.emptyMessage.style.display = stats.gamesPlayed > 0 ? 'none' : '';
+    }
+}
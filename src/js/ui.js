@@ -1,3 +1,7 @@
+import { WILDCARD, BOMB, STONE, getPieceType, getDieValue, isMovable } from './pieces';
+import { formatTimeLeft } from './blitz';
+import { isDailySeed } from './daily';
+
 export class UI {
     constructor(gameInstance) {
         this.game = gameInstance;
@@ -9,6 +13,8 @@ export class UI {
         this.gameOverScreen = document.getElementById('game-over');
         this.finalScoreDisplay = document.getElementById('final-score');
         this.finalHighestDisplay = document.getElementById('final-highest');
+        this.finalSeedDisplay = document.getElementById('final-seed');
+        this.seedInput = document.getElementById('seed-input');
         this.cells = [];
 
         // Drag and drop state
@@ -23,9 +29,18 @@ export class UI {
         this.clonedDie = null;
     }
 
-    createBoardCells() {
+    /**
+     * Build the board cells
+     * @param {number} boardSize - Width and height of the board, defaults to the current game's
+     */
+    createBoardCells(boardSize = this.game.boardSize) {
         this.gameBoard.innerHTML = '';
-        for (let i = 0; i < this.game.boardSize * this.game.boardSize; i++) {
+
+        // Lay out the grid for the board size
+        this.gameBoard.style.setProperty('--board-size', boardSize);
+        this.gameBoard.dataset.size = boardSize;
+
+        for (let i = 0; i < boardSize * boardSize; i++) {
             const cell = document.createElement('div');
             cell.className = 'cell';
             cell.dataset.index = i;
@@ -42,6 +57,30 @@ export class UI {
     setupEventListeners() {
         document.getElementById('new-game-btn').addEventListener('click', () => this.game.startNewGame());
         document.getElementById('restart-btn').addEventListener('click', () => this.game.startNewGame());
+        document.getElementById('play-seed-btn').addEventListener('click', () => {
+            const seed = this.seedInput.value.trim();
+            if (!seed) return;
+            if (isDailySeed(seed)) {
+                this.showMessage(this.game.localization.get('daily_seed_refused'));
+                setTimeout(() => this.hideMessage(), 3000);
+                return;
+            }
+            document.getElementById('settings-menu').style.display = 'none';
+            this.game.startNewGame({ seed, mode: 'endless' });
+        });
+        document.getElementById('import-code-btn').addEventListener('click', () => {
+            const input = document.getElementById('import-code-input');
+            const code = input.value.trim();
+            if (!code) return;
+            if (this.game.loadGameCode(code)) {
+                input.value = '';
+                document.getElementById('settings-menu').style.display = 'none';
+            }
+        });
+        document.getElementById('open-editor-btn').addEventListener('click', () => {
+            document.getElementById('settings-menu').style.display = 'none';
+            this.game.levelEditor.open();
+        });
         document.getElementById('close-tutorial').addEventListener('click', () => {
             document.getElementById('tutorial').style.display = 'none';
         });
@@ -67,8 +106,8 @@ export class UI {
     }
 
     handleDragStart(e, cellIndex) {
-        // Only start drag if the game is not over and the cell has a die
-        if (this.game.gameOver || this.game.board[cellIndex] === null) {
+        // Only start drag if the game is not over, no replay is playing and the cell has a movable piece
+        if (this.game.gameOver || this.game.boardLocked || !isMovable(this.game.board[cellIndex])) {
             return;
         }
 
@@ -154,7 +193,7 @@ export class UI {
                 clientY >= rect.top && clientY <= rect.bottom) {
 
                 // Only highlight if it's a valid merge target (same die value)
-                if (i !== this.startCellIndex && this.game.board[i] === this.game.board[this.startCellIndex]) {
+                if (this.game.canMerge(this.startCellIndex, i)) {
                     this.cells[i].classList.add('drag-over');
                 }
 
@@ -201,7 +240,7 @@ export class UI {
 
         // Process the drop if it's on a valid cell and it's a match
         if (targetCellIndex !== -1 && targetCellIndex !== this.startCellIndex) {
-            if (this.game.board[targetCellIndex] === this.game.board[this.startCellIndex]) {
+            if (this.game.canMerge(this.startCellIndex, targetCellIndex)) {
                 // Merge the dice
                 this.game.mergeDice(this.startCellIndex, targetCellIndex);
             }
@@ -232,21 +271,80 @@ export class UI {
         });
     }
 
-    renderDie(index, value) {
-        const die = document.createElement('div');
-        die.className = `die die-${value}`;
+    /**
+     * Redraw every cell from a board array
+     * @param {Array<number|Object|null>} board - Board cells to draw
+     */
+    renderBoard(board) {
+        this.resetBoard();
+        board.forEach((value, index) => {
+            if (value !== null) {
+                this.renderDie(index, value);
+            }
+        });
+    }
+
+    /**
+     * Draw a die or special piece in a cell
+     * @param {number} index - Index of the cell
+     * @param {number|Object} piece - Die value or special piece
+     */
+    renderDie(index, piece) {
+        // Add die to cell
+        this.cells[index].innerHTML = '';
+        this.cells[index].appendChild(this.createDieElement(piece));
+    }
 
-        // For values 1-6, we'll use traditional dice dots
-        if (value >= 1 && value <= 6) {
-            die.innerHTML = this.createDiceDots(value);
+    /**
+     * Create the element showing a die or special piece
+     * @param {number|Object} piece - Die value or special piece
+     * @returns {HTMLElement} Die element
+     */
+    createDieElement(piece) {
+        const die = document.createElement('div');
+        const type = getPieceType(piece);
+        const value = getDieValue(piece);
+
+        if (type === STONE) {
+            die.className = 'die stone';
+        } else if (type === WILDCARD) {
+            die.className = 'die wildcard';
+            die.textContent = '★';
         } else {
-            // For values > 6, we'll use the number
-            die.textContent = value;
+            die.className = `die die-${value}`;
+
+            // For values 1-6, we'll use traditional dice dots
+            if (value >= 1 && value <= 6) {
+                die.innerHTML = this.createDiceDots(value);
+            } else {
+                // For values > 6, we'll use the number
+                die.textContent = value;
+            }
         }
 
-        // Add die to cell
-        this.cells[index].innerHTML = '';
-        this.cells[index].appendChild(die);
+        if (type === BOMB) {
+            die.classList.add('bomb');
+            const badge = document.createElement('span');
+            badge.className = 'bomb-badge';
+            badge.textContent = '💣';
+            die.appendChild(badge);
+        }
+
+        return die;
+    }
+
+    /**
+     * Show the dice the next spawns will add
+     * @param {Array<number|Object>} pieces - Upcoming dice, next first; empty hides the preview
+     */
+    renderNextDice(pieces) {
+        const nextDice = document.getElementById('next-dice');
+        if (!nextDice) return;
+
+        nextDice.innerHTML = '';
+        nextDice.title = this.game.localization.get('next_dice');
+        pieces.forEach(piece => nextDice.appendChild(this.createDieElement(piece)));
+        nextDice.style.display = pieces.length > 0 ? '' : 'none';
     }
 
     createDiceDots(value) {
@@ -294,6 +392,77 @@ export class UI {
         die.style.transform = 'scale(1)';
     }
 
+    /**
+     * Show or hide the Blitz countdown
+     * @param {boolean} visible - Whether the current game is a Blitz game
+     */
+    showBlitzTimer(visible) {
+        const timer = document.getElementById('blitz-timer');
+        if (timer) {
+            timer.style.display = visible ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Update the Blitz countdown
+     * @param {number} remaining - Milliseconds left
+     */
+    updateBlitzTimer(remaining) {
+        const timer = document.getElementById('blitz-timer');
+        const time = document.getElementById('blitz-time');
+        if (!timer || !time) return;
+
+        time.textContent = formatTimeLeft(remaining);
+        timer.classList.toggle('low', remaining <= 10000);
+    }
+
+    /**
+     * Flash the time a merge added to the Blitz clock
+     * @param {number} bonus - Milliseconds added
+     */
+    showTimeBonus(bonus) {
+        const timer = document.getElementById('blitz-timer');
+        if (!timer) return;
+
+        const floating = document.createElement('span');
+        floating.className = 'time-bonus';
+        floating.textContent = `+${Math.round(bonus / 1000)}s`;
+        timer.appendChild(floating);
+        setTimeout(() => floating.remove(), 1000);
+    }
+
+    /**
+     * Float the points of a merge up from its cell, e.g. "+24 x3"
+     * @param {number} index - Index of the merged cell
+     * @param {number} points - Points scored
+     * @param {number} multiplier - Combo multiplier
+     * @param {number} streak - Merges of the same value in a row
+     */
+    showFloatingScore(index, points, multiplier, streak = 1) {
+        const cell = this.cells[index];
+        if (!cell) return;
+
+        const floating = document.createElement('div');
+        floating.className = 'floating-score';
+        if (multiplier > 1) floating.classList.add(`combo-${Math.min(multiplier, 5)}`);
+        floating.textContent = `+${points}${multiplier > 1 ? ` x${multiplier}` : ''}${streak > 1 ? ` 🔥${streak}` : ''}`;
+
+        cell.appendChild(floating);
+        setTimeout(() => floating.remove(), 1000);
+    }
+
+    /**
+     * Blow away the piece in a cell (bomb blast or broken stone)
+     * @param {number} index - Index of the cell
+     */
+    animateClear(index) {
+        const die = this.cells[index].querySelector('.die');
+        if (!die) return;
+
+        die.classList.add('clear-animation');
+        setTimeout(() => die.remove(), 300);
+    }
+
     animateUpgrade(index) {
         const die = this.cells[index].querySelector('.die');
         die.classList.add('upgrade-animation');
@@ -321,14 +490,171 @@ export class UI {
         }
     }
 
-    showGameOver(score, highestDie) {
+    /**
+     * Show the seed of the current game in the settings menu
+     * @param {number} seed - The game seed
+     */
+    updateSeed(seed) {
+        if (this.seedInput) {
+            this.seedInput.value = seed;
+        }
+    }
+
+    /**
+     * Update the undo/redo buttons
+     * @param {boolean} canUndo - Whether a move can be undone
+     * @param {boolean} canRedo - Whether a move can be redone
+     * @param {number} undosLeft - Undos remaining this game (Infinity when unlimited)
+     */
+    updateHistoryButtons(canUndo, canRedo, undosLeft) {
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+        const undoCount = document.getElementById('undo-count');
+
+        if (undoBtn) {
+            undoBtn.disabled = !canUndo;
+            undoBtn.classList.toggle('disabled', !canUndo);
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !canRedo;
+            redoBtn.classList.toggle('disabled', !canRedo);
+        }
+        if (undoCount) {
+            undoCount.textContent = undosLeft === Infinity ? '∞' : undosLeft;
+        }
+    }
+
+    /**
+     * Update the hint button
+     * @param {boolean} enabled - Whether a hint can be requested
+     * @param {number} hintsLeft - Hints left in this game (Infinity if unlimited)
+     */
+    updateHintButton(enabled, hintsLeft) {
+        const hintBtn = document.getElementById('hint-btn');
+        const hintCount = document.getElementById('hint-count');
+
+        if (hintBtn) {
+            hintBtn.disabled = !enabled;
+            hintBtn.classList.toggle('disabled', !enabled);
+        }
+        if (hintCount) {
+            hintCount.textContent = hintsLeft === Infinity ? '∞' : hintsLeft;
+        }
+    }
+
+    /**
+     * Highlight a suggested merge with the selection and drop target styles
+     * @param {number} from - Index of the die to move
+     * @param {number} to - Index of the die to merge it into
+     */
+    showHint(from, to) {
+        this.clearHint();
+        this.selectCell(from);
+        this.cells[to].classList.add('drag-over', 'hint-target');
+    }
+
+    /**
+     * Remove the highlight of a suggested merge target
+     */
+    clearHint() {
+        this.cells.forEach(cell => {
+            if (cell.classList.contains('hint-target')) {
+                cell.classList.remove('drag-over', 'hint-target');
+            }
+        });
+    }
+
+    /**
+     * Show the game over screen
+     * @param {number} score - Final score
+     * @param {number} highestDie - Highest die reached
+     * @param {number} seed - Seed of the game
+     * @param {string} personalBest - Localized comparison with the previous best, empty to hide it
+     */
+    showGameOver(score, highestDie, seed, personalBest = '') {
+        const personalBestDisplay = document.getElementById('personal-best');
+
         this.finalScoreDisplay.textContent = score;
         this.finalHighestDisplay.textContent = highestDie;
+        this.finalSeedDisplay.textContent = seed;
+        if (personalBestDisplay) {
+            personalBestDisplay.textContent = personalBest;
+            personalBestDisplay.style.display = personalBest ? '' : 'none';
+        }
         this.gameOverScreen.style.display = 'flex';
     }
 
     hideGameOver() {
         this.gameOverScreen.style.display = 'none';
+
+        // Puzzle levels end on their own result screen
+        this.hideLevelResult();
+    }
+
+    /**
+     * Show how a puzzle level went
+     * @param {Object} result - Result details
+     * @param {string} result.title - Localized heading
+     * @param {string} result.stars - Star rating, empty for a failed level
+     * @param {string} result.summary - Localized description of the result
+     * @param {Function} result.onRetry - Called when the player plays the level again
+     * @param {Function|null} result.onNext - Called when the player goes on; null hides the button
+     * @param {Function} result.onLevels - Called when the player opens the level list
+     * @param {Function|null} result.onEdit - Called to go back to the level editor after a playtest; null hides the button
+     */
+    showLevelResult({ title, stars, summary, onRetry, onNext, onLevels, onEdit = null }) {
+        const levelResult = document.getElementById('level-result');
+        const retryBtn = document.getElementById('level-retry-btn');
+        const nextBtn = document.getElementById('level-next-btn');
+        const levelsBtn = document.getElementById('level-list-btn');
+        const editBtn = document.getElementById('level-edit-btn');
+
+        document.getElementById('level-result-title').textContent = title;
+        document.getElementById('level-result-stars').textContent = stars;
+        document.getElementById('level-result-summary').textContent = summary;
+        nextBtn.style.display = onNext ? '' : 'none';
+        editBtn.style.display = onEdit ? '' : 'none';
+        levelResult.style.display = 'flex';
+
+        const close = (callback) => {
+            this.hideLevelResult();
+            callback();
+        };
+
+        retryBtn.onclick = () => close(onRetry);
+        nextBtn.onclick = onNext ? () => close(onNext) : null;
+        levelsBtn.onclick = () => close(onLevels);
+        editBtn.onclick = onEdit ? () => close(onEdit) : null;
+    }
+
+    hideLevelResult() {
+        const levelResult = document.getElementById('level-result');
+        if (levelResult) levelResult.style.display = 'none';
+    }
+
+    /**
+     * Ask whether to continue a saved game
+     * @param {string} summary - Localized description of the saved game
+     * @param {Function} onContinue - Called when the player continues
+     * @param {Function} onNewGame - Called when the player starts over
+     */
+    showResumePrompt(summary, onContinue, onNewGame) {
+        const resumePrompt = document.getElementById('resume-prompt');
+        const continueBtn = document.getElementById('continue-btn');
+        const newGameBtn = document.getElementById('resume-new-game-btn');
+
+        document.getElementById('resume-summary').textContent = summary;
+        resumePrompt.style.display = 'flex';
+
+        const close = (callback) => {
+            resumePrompt.style.display = 'none';
+            continueBtn.onclick = null;
+            newGameBtn.onclick = null;
+            callback();
+        };
+
+        continueBtn.onclick = () => close(onContinue);
+        newGameBtn.onclick = () => close(onNewGame);
     }
 
     /**
@@ -410,6 +736,11 @@ export class UI {
             }
         });
 
+        // Placeholders of text fields
+        document.querySelectorAll('[data-loc-placeholder]').forEach(element => {
+            element.placeholder = this.localization.get(element.dataset.locPlaceholder);
+        });
+
         // Special handling for combined elements (like "Score: 0")
         this.updateScoreDisplays();
     }
@@ -1,28 +1,3 @@
-/**
- * Get a random integer between min and max (inclusive)
- * @param {number} min - Minimum value
- * @param {number} max - Maximum value
- * @returns {number} Random integer
- */
-export function getRandomInt(min, max) {
-    min = Math.ceil(min);
-    max = Math.floor(max);
-    return Math.floor(Math.random() * (max - min + 1)) + min;
-}
-
-/**
- * Shuffle an array in place using Fisher-Yates algorithm
- * @param {Array} array - The array to shuffle
- * @returns {Array} The shuffled array
- */
-export function shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [array[i], array[j]] = [array[j], array[i]];
-    }
-    return array;
-}
-
 /**
  * Format a number with commas as thousands separators
  * @param {number} num - The number to format
@@ -61,6 +36,18 @@ export function loadFromLocalStorage(key, defaultValue) {
     }
 }
 
+/**
+ * Remove data from localStorage
+ * @param {string} key - The key to remove
+ */
+export function removeFromLocalStorage(key) {
+    try {
+        localStorage.removeItem(key);
+    } catch (error) {
+        console.error('Error removing from localStorage:', error);
+    }
+}
+
 /**
  * Detect if device is mobile
  * @returns {boolean} True if mobile device
@@ -89,4 +76,54 @@ export function setupDocumentDirection(language) {
     } else {
         document.body.classList.remove('rtl');
     }
-}
\ No newline at end of file
+}
+/**
+ * Copy text to the clipboard
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} True if the text was copied
+ */
+export async function copyToClipboard(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            // Blocked inside some iframes, fall back to execCommand
+            console.warn('Clipboard API failed:', error);
+        }
+    }
+
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    let copied = false;
+    try {
+        copied = document.execCommand('copy');
+    } catch (error) {
+        console.warn('Error copying to clipboard:', error);
+    }
+
+    document.body.removeChild(textarea);
+    return copied;
+}
+
+/**
+ * Offer text as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} type - MIME type
+ */
+export function downloadTextFile(filename, text, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Give the browser a moment to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}